@@ -6,15 +6,27 @@ require('dotenv').config();
 
 const urlRoutes = require('./routes/urlRoutes');
 const authRoutes = require('./routes/authRoutes');
+const campaignRoutes = require('./routes/campaignRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const domainRoutes = require('./routes/domainRoutes');
+const { startTrashPurge } = require('./jobs/trashPurge');
+const { startExpirySweep } = require('./jobs/expirySweep');
+const { startClickFlush, stopClickFlush } = require('./jobs/clickFlush');
+const { startImportWatchdog } = require('./jobs/importWatchdog');
 
 const app = express();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+// Unlock forms of protected links post urlencoded bodies
+app.use(express.urlencoded({ extended: false }));
 
 // Routes
 app.use('/auth', authRoutes);
+app.use('/campaigns', campaignRoutes);
+app.use('/admin', adminRoutes);
+app.use('/domains', domainRoutes);
 app.use('/', urlRoutes);
 
 
@@ -37,9 +49,13 @@ const connectDB = async () => {
 };
 
 
-// Only connect if we're not in test mode
+// Only connect and run background jobs if we're not in test mode
 if (process.env.NODE_ENV !== 'test') {
   connectDB();
+  startTrashPurge();
+  startExpirySweep();
+  startClickFlush();
+  startImportWatchdog();
 }
 
 // Export the app before starting the server
@@ -48,7 +64,20 @@ module.exports = app;
 // Only start the server if this file is being run directly
 if (require.main === module) {
   const PORT = process.env.PORT || 3000;
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
   });
+
+  // Write queued clicks before exiting, so restarts don't lose them
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, shutting down`);
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections();
+    await closed;
+    await stopClickFlush();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
 } 
\ No newline at end of file
@@ -0,0 +1,197 @@
+/**
+ * Link Cache
+ * Redirect data of short links, kept in front of the Url collection
+ * Features:
+ * - Pluggable store: bounded in-memory LRU by default, Redis when REDIS_URL is set
+ * - TTL on every entry, never past the link's own expiry
+ * - Negative caching of unknown codes with a shorter TTL
+ * - Plain snapshots of the fields redirects need, never Mongoose documents or password hashes
+ * - Hit/miss metrics
+ * - Fails open: store errors are logged and count as misses
+ */
+
+const config = require('../config/config');
+const MemoryStore = require('./memoryStore');
+const RedisStore = require('./redisStore');
+
+// Everything GET /:code needs to answer without the database
+const CACHED_FIELDS = [
+  'urlCode',
+  'longUrl',
+  'shortUrl',
+  'expiresAt',
+  'isExpired',
+  'activatesAt',
+  'maxClicks',
+  'clicks',
+  'isProtected',
+  'targeting',
+  'variants',
+  'stickyVariants',
+  'utm',
+  'forwardQuery',
+  'title',
+  'createdAt',
+  // Effective setting, the owner's alwaysPreview already applied
+  'preview'
+];
+// Serialized as strings by shared stores
+const DATE_FIELDS = ['expiresAt', 'activatesAt', 'createdAt'];
+
+const toSnapshot = (url) => {
+  const source = typeof url.toObject === 'function' ? url.toObject() : url;
+  const snapshot = { _id: String(source._id), userId: source.userId ? String(source.userId) : null };
+  CACHED_FIELDS.forEach(field => {
+    snapshot[field] = source[field] === undefined ? null : source[field];
+  });
+  return snapshot;
+};
+
+const hydrate = (snapshot) => {
+  DATE_FIELDS.forEach(field => {
+    if (typeof snapshot[field] === 'string') {
+      snapshot[field] = new Date(snapshot[field]);
+    }
+  });
+  return snapshot;
+};
+
+/**
+ * Store for this deployment
+ * ioredis is only required when a shared cache is configured
+ */
+const createStore = () => {
+  if (config.redisUrl) {
+    const Redis = require('ioredis');
+    return new RedisStore(new Redis(config.redisUrl));
+  }
+  return new MemoryStore({ maxEntries: config.cacheMaxEntries });
+};
+
+class LinkCache {
+  /**
+   * @param {Object} store - MemoryStore, RedisStore or anything with async get, set, delete, clear
+   * @param {Object} options - { ttlMs, negativeTtlMs }
+   */
+  constructor(store, {
+    ttlMs = config.cacheTtlSeconds * 1000,
+    negativeTtlMs = config.cacheNegativeTtlSeconds * 1000
+  } = {}) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.negativeTtlMs = negativeTtlMs;
+    this.resetStats();
+  }
+
+  /**
+   * Swap the backing store, e.g. for a shared one
+   */
+  useStore(store) {
+    this.store = store;
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.metrics = { hits: 0, misses: 0, negativeHits: 0, errors: 0 };
+  }
+
+  /**
+   * Look up a link
+   * @returns {Object|null} The snapshot, { missing: true } for a cached unknown code, null on a miss
+   */
+  async get(urlCode) {
+    let entry = null;
+    try {
+      entry = await this.store.get(urlCode);
+    } catch (error) {
+      this.fail('get', error);
+    }
+
+    if (!entry) {
+      this.metrics.misses += 1;
+      return null;
+    }
+    if (entry.missing) {
+      this.metrics.negativeHits += 1;
+      return entry;
+    }
+    this.metrics.hits += 1;
+    return hydrate(entry);
+  }
+
+  /**
+   * Cache a link
+   * @param {Object} url - Url document or lean object
+   * @returns {Object} The cached snapshot
+   */
+  async set(urlCode, url) {
+    const snapshot = toSnapshot(url);
+    let ttl = this.ttlMs;
+    if (url.expiresAt) {
+      ttl = Math.min(ttl, new Date(url.expiresAt).getTime() - Date.now());
+    }
+
+    if (ttl > 0) {
+      try {
+        await this.store.set(urlCode, snapshot, ttl);
+      } catch (error) {
+        this.fail('set', error);
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * Remember that a code does not exist (or is deleted)
+   */
+  async setMissing(urlCode) {
+    try {
+      await this.store.set(urlCode, { missing: true }, this.negativeTtlMs);
+    } catch (error) {
+      this.fail('set', error);
+    }
+  }
+
+  /**
+   * Drop a code, called whenever the link changes, expires, is deleted or restored,
+   * and when a code is created, since a visit before may have cached it as unknown
+   */
+  async delete(urlCode) {
+    try {
+      await this.store.delete(urlCode);
+    } catch (error) {
+      this.fail('delete', error);
+    }
+  }
+
+  async clear() {
+    await this.store.clear();
+    this.resetStats();
+  }
+
+  /**
+   * Metrics since start (or the last clear), per process
+   */
+  stats() {
+    const lookups = this.metrics.hits + this.metrics.negativeHits + this.metrics.misses;
+    return {
+      backend: this.store.name,
+      size: this.store.size,
+      ttlMs: this.ttlMs,
+      negativeTtlMs: this.negativeTtlMs,
+      ...this.metrics,
+      evictions: this.store.evictions,
+      hitRate: lookups > 0 ? (this.metrics.hits + this.metrics.negativeHits) / lookups : null
+    };
+  }
+
+  fail(operation, error) {
+    this.metrics.errors += 1;
+    console.error(`Link cache ${operation} failed:`, error);
+  }
+}
+
+module.exports = {
+  LinkCache,
+  createStore
+};
@@ -0,0 +1,51 @@
+/**
+ * In-Memory Cache Store
+ * Per-process backend of the link cache
+ * Features:
+ * - Bounded by entry count, least recently used entries are evicted first
+ * - Per-entry TTL
+ * - Counts evictions for the cache metrics
+ */
+
+const LRUCache = require('lru-cache');
+
+class MemoryStore {
+  /**
+   * @param {Object} options - { maxEntries }
+   */
+  constructor({ maxEntries }) {
+    this.name = 'memory';
+    this.evictions = 0;
+    this.lru = new LRUCache({
+      max: maxEntries,
+      dispose: (value, key, reason) => {
+        if (reason === 'evict') {
+          this.evictions += 1;
+        }
+      }
+    });
+  }
+
+  async get(key) {
+    const value = this.lru.get(key);
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.lru.set(key, value, { ttl: ttlMs });
+  }
+
+  async delete(key) {
+    this.lru.delete(key);
+  }
+
+  async clear() {
+    this.lru.clear();
+  }
+
+  get size() {
+    return this.lru.size;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,44 @@
+/**
+ * Redis Cache Store
+ * Shared backend of the link cache for multi-instance deployments
+ * Features:
+ * - Works with any Redis-compatible client exposing get, set(key, value, 'PX', ttl) and del
+ *   (ioredis, or node-redis v4 in legacy mode)
+ * - Entries are stored as JSON under a common key prefix
+ * - Invalidations are seen by every instance at once
+ */
+
+class RedisStore {
+  /**
+   * @param {Object} client - Connected Redis client
+   * @param {Object} options - { prefix }
+   */
+  constructor(client, { prefix = 'link:' } = {}) {
+    this.name = 'redis';
+    this.client = client;
+    this.prefix = prefix;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), 'PX', ttlMs);
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  // Redis bounds its own memory (maxmemory-policy), there is nothing to clear per process
+  async clear() {}
+
+  get size() {
+    return null;
+  }
+}
+
+module.exports = RedisStore;
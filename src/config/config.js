@@ -1,4 +1,29 @@
+const crypto = require('crypto');
+
 module.exports = {
   baseUrl: process.env.BASE_URL || 'http://localhost:3000',
-  mongoUri: process.env.MONGODB_URI
-}; 
\ No newline at end of file
+  mongoUri: process.env.MONGODB_URI,
+  // Salt for visitor fingerprints, set it so all instances agree and restarts keep counts stable
+  visitorSalt: process.env.VISITOR_SALT || crypto.randomBytes(16).toString('hex'),
+  // Request header carrying the visitor's country code, set by a CDN or proxy (e.g. cf-ipcountry)
+  countryHeader: process.env.COUNTRY_HEADER ? process.env.COUNTRY_HEADER.toLowerCase() : null,
+  // Days deleted links stay restorable before the purge job removes them
+  trashRetentionDays: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+  // Days an expired link stays in place before the sweep moves it to the archive, unset disables archival
+  archiveAfterDays: process.env.ARCHIVE_AFTER_DAYS ? Number(process.env.ARCHIVE_AFTER_DAYS) : null,
+  // Name shown on the pages served to visitors (unlock form, expired and not found pages)
+  brandName: process.env.BRAND_NAME || 'URL Shortener',
+  // PNG placed in the centre of QR codes requested with logo=true
+  qrLogoPath: process.env.QR_LOGO_PATH || null,
+  // Link cache bounds: entries per process, seconds a link and an unknown code stay cached
+  cacheMaxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 10000,
+  cacheTtlSeconds: Number(process.env.CACHE_TTL_SECONDS) || 300,
+  cacheNegativeTtlSeconds: Number(process.env.CACHE_NEGATIVE_TTL_SECONDS) || 30,
+  // Redis for a link cache shared by all instances, each process caches on its own when unset
+  redisUrl: process.env.REDIS_URL || null,
+  // Buffered click tracking: milliseconds between batch writes, clicks held in memory at most
+  clickFlushIntervalMs: Number(process.env.CLICK_FLUSH_INTERVAL_MS) || 1000,
+  clickQueueMax: Number(process.env.CLICK_QUEUE_MAX) || 10000,
+  // DNS servers for custom domain verification (e.g. 127.0.0.1:5353), the system resolver when unset
+  dnsServers: process.env.DNS_SERVERS ? process.env.DNS_SERVERS.split(',').map(server => server.trim()) : null
+};
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Admin Controller
+ * Operational endpoints for administrators
+ * Features:
+ * - Expiry sweep status
+ * - On-demand expiry sweep
+ * - Link cache metrics
+ * - Click queue status
+ */
+const { runExpirySweep, getExpirySweepStatus } = require('../jobs/expirySweep');
+const { getClickFlushStatus } = require('../jobs/clickFlush');
+const urlService = require('../services/urlService');
+
+class AdminController {
+  /**
+   * Get Expiry Sweep Status
+   * GET /admin/jobs/expiry-sweep
+   * @returns {Object} Schedule, last run outcome and running totals
+   */
+  async getExpirySweep(req, res) {
+    res.json({
+      status: 'SUCCESS',
+      data: getExpirySweepStatus()
+    });
+  }
+
+  /**
+   * Run Expiry Sweep
+   * POST /admin/jobs/expiry-sweep/run
+   * Runs a sweep right away instead of waiting for the next interval
+   * @returns {Object} Status after the run, 409 if a run is already in progress
+   */
+  async runExpirySweep(req, res) {
+    if (getExpirySweepStatus().running) {
+      return res.status(409).json({
+        status: 'CLIENT_ERROR',
+        message: 'A sweep is already running'
+      });
+    }
+
+    await runExpirySweep();
+    res.json({
+      status: 'SUCCESS',
+      data: getExpirySweepStatus()
+    });
+  }
+
+  /**
+   * Get Link Cache Metrics
+   * GET /admin/cache
+   * @returns {Object} Backend, bounds, hit/miss counters of this process
+   */
+  async getCacheStats(req, res) {
+    res.json({
+      status: 'SUCCESS',
+      data: urlService.cache.stats()
+    });
+  }
+
+  /**
+   * Get Click Queue Status
+   * GET /admin/jobs/click-flush
+   * @returns {Object} Queue length, last flush and totals of this process
+   */
+  async getClickFlush(req, res) {
+    res.json({
+      status: 'SUCCESS',
+      data: getClickFlushStatus()
+    });
+  }
+}
+
+module.exports = new AdminController();
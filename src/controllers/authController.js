@@ -2,6 +2,8 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const User = require('../models/User');
+const { sanitizeLongUrl } = require('../middleware/urlValidator');
+const urlService = require('../services/urlService');
 
 class AuthController {
   async register(req, res) {
@@ -118,6 +120,63 @@ class AuthController {
       res.status(500).json({ error: error.message });
     }
   }
+
+  async getSettings(req, res) {
+    try {
+      const user = await User.findById(req.user.userId).select('defaultFallbackUrl alwaysPreview');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ defaultFallbackUrl: user.defaultFallbackUrl, alwaysPreview: user.alwaysPreview });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async updateSettings(req, res) {
+    try {
+      const { defaultFallbackUrl, alwaysPreview } = req.body;
+      const updates = {};
+
+      // Where the user's expired links send visitors, null removes it
+      if (defaultFallbackUrl !== undefined) {
+        updates.defaultFallbackUrl = defaultFallbackUrl === null
+          ? null
+          : sanitizeLongUrl(defaultFallbackUrl);
+        if (updates.defaultFallbackUrl === null && defaultFallbackUrl !== null) {
+          return res.status(400).json({ error: 'Invalid fallback URL' });
+        }
+      }
+
+      // Show the preview page on links that don't choose for themselves
+      if (alwaysPreview !== undefined) {
+        if (typeof alwaysPreview !== 'boolean') {
+          return res.status(400).json({ error: 'alwaysPreview must be a boolean' });
+        }
+        updates.alwaysPreview = alwaysPreview;
+      }
+
+      const user = await User.findByIdAndUpdate(req.user.userId, updates, { new: true })
+        .select('defaultFallbackUrl alwaysPreview');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Cached links carry the setting
+      if (alwaysPreview !== undefined) {
+        await urlService.invalidateOwner(req.user.userId);
+      }
+
+      res.json({
+        message: 'Settings updated successfully',
+        defaultFallbackUrl: user.defaultFallbackUrl,
+        alwaysPreview: user.alwaysPreview
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
 }
 
 module.exports = new AuthController(); 
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * Campaign Controller
+ * Handles HTTP requests for campaign folders
+ * Features:
+ * - Campaign CRUD
+ * - Aggregated campaign statistics
+ * - Access control enforcement
+ */
+const campaignService = require('../services/campaignService');
+const { parseRangeQuery } = require('../utils/timeBuckets');
+
+/**
+ * Map ownership and validation errors from the service to responses
+ */
+const sendCampaignError = (res, error) => {
+  if (error.message === 'No such campaign') {
+    return res.status(404).json({
+      status: 'CLIENT_ERROR',
+      message: error.message
+    });
+  } else if (error.message === 'Not authorized') {
+    return res.status(403).json({
+      status: 'AUTH_ERROR',
+      message: 'Authorization error'
+    });
+  } else if (error.message === 'Campaign name already in use') {
+    return res.status(409).json({
+      status: 'CLIENT_ERROR',
+      message: error.message
+    });
+  }
+
+  return res.status(400).json({
+    status: 'CLIENT_ERROR',
+    message: error.message
+  });
+};
+
+class CampaignController {
+  /**
+   * Create Campaign
+   * POST /campaigns
+   * @param {string} req.body.name - Campaign name, unique per user
+   * @param {string} req.body.description - Optional description
+   */
+  async createCampaign(req, res) {
+    try {
+      const { name, description } = req.body;
+      const campaign = await campaignService.createCampaign(req.user.userId, { name, description });
+
+      res.status(201).json({
+        status: 'SUCCESS',
+        data: campaign
+      });
+    } catch (error) {
+      sendCampaignError(res, error);
+    }
+  }
+
+  /**
+   * List Campaigns
+   * GET /campaigns
+   * @returns {Array} Campaigns with their number of links
+   */
+  async getCampaigns(req, res) {
+    try {
+      const campaigns = await campaignService.getCampaigns(req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        data: campaigns
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get Campaign
+   * GET /campaigns/:id
+   */
+  async getCampaign(req, res) {
+    try {
+      const campaign = await campaignService.getOwnedCampaign(req.params.id, req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        data: campaign
+      });
+    } catch (error) {
+      sendCampaignError(res, error);
+    }
+  }
+
+  /**
+   * Update Campaign
+   * PATCH /campaigns/:id
+   * @param {string} req.body.name - Optional new name
+   * @param {string|null} req.body.description - Optional new description, null removes it
+   */
+  async updateCampaign(req, res) {
+    try {
+      const { name, description } = req.body;
+      const campaign = await campaignService.updateCampaign(
+        req.params.id,
+        req.user.userId,
+        { name, description }
+      );
+
+      res.json({
+        status: 'SUCCESS',
+        data: campaign
+      });
+    } catch (error) {
+      sendCampaignError(res, error);
+    }
+  }
+
+  /**
+   * Delete Campaign
+   * DELETE /campaigns/:id
+   * Links of the campaign are kept and no longer filed in it
+   */
+  async deleteCampaign(req, res) {
+    try {
+      await campaignService.deleteCampaign(req.params.id, req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        message: 'Campaign deleted successfully'
+      });
+    } catch (error) {
+      sendCampaignError(res, error);
+    }
+  }
+
+  /**
+   * Get Campaign Statistics
+   * GET /campaigns/:id/stats
+   * Same window parameters as GET /urls/:code/stats
+   * @param {string} req.query.from - Optional window start (ISO date)
+   * @param {string} req.query.to - Optional window end (ISO date), defaults to now
+   * @param {string} req.query.granularity - Optional hour, day (default), week or month
+   * @param {string} req.query.tz - Optional IANA time zone for buckets, defaults to UTC
+   * @param {string} req.query.includeBots - 'true' to include crawler and link-preview hits
+   */
+  async getCampaignStats(req, res) {
+    let range;
+    try {
+      range = parseRangeQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const stats = await campaignService.getCampaignStats(req.params.id, req.user.userId, {
+        ...range,
+        includeBots: req.query.includeBots === 'true'
+      });
+      res.json(stats);
+    } catch (error) {
+      sendCampaignError(res, error);
+    }
+  }
+}
+
+module.exports = new CampaignController();
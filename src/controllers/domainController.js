@@ -0,0 +1,117 @@
+/**
+ * Domain Controller
+ * Handles HTTP requests for custom domains
+ * Features:
+ * - Domain registration with DNS TXT verification
+ * - Listing and removal
+ * - Access control enforcement
+ */
+const domainService = require('../services/domainService');
+
+/**
+ * Map ownership, validation and verification errors from the service to responses
+ */
+const sendDomainError = (res, error) => {
+  if (error.message === 'No such domain') {
+    return res.status(404).json({
+      status: 'CLIENT_ERROR',
+      message: error.message
+    });
+  } else if (error.message === 'Not authorized') {
+    return res.status(403).json({
+      status: 'AUTH_ERROR',
+      message: 'Authorization error'
+    });
+  } else if (['Domain already registered', 'Domain is in use'].includes(error.message)) {
+    return res.status(409).json({
+      status: 'CLIENT_ERROR',
+      message: error.message
+    });
+  } else if (error.message === 'DNS lookup failed') {
+    return res.status(502).json({
+      status: 'SERVER_ERROR',
+      message: error.message
+    });
+  }
+
+  return res.status(400).json({
+    status: 'CLIENT_ERROR',
+    message: error.message
+  });
+};
+
+class DomainController {
+  /**
+   * Register Domain
+   * POST /domains
+   * @param {string} req.body.hostname - Domain to serve links on, e.g. go.example.com
+   * @returns {Object} The domain with the TXT record to create for verification
+   */
+  async addDomain(req, res) {
+    try {
+      const domain = await domainService.addDomain(req.user.userId, req.body.hostname);
+
+      res.status(201).json({
+        status: 'SUCCESS',
+        data: domain
+      });
+    } catch (error) {
+      sendDomainError(res, error);
+    }
+  }
+
+  /**
+   * List Domains
+   * GET /domains
+   */
+  async getDomains(req, res) {
+    try {
+      const domains = await domainService.getDomains(req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        data: domains
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Verify Domain
+   * POST /domains/:hostname/verify
+   * Looks up the TXT record now, answers 400 until it is found
+   */
+  async verifyDomain(req, res) {
+    try {
+      const domain = await domainService.verifyDomain(req.params.hostname, req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        data: domain
+      });
+    } catch (error) {
+      sendDomainError(res, error);
+    }
+  }
+
+  /**
+   * Remove Domain
+   * DELETE /domains/:hostname
+   * Refused while links (trash included) are on the domain
+   */
+  async removeDomain(req, res) {
+    try {
+      await domainService.removeDomain(req.params.hostname, req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        message: 'Domain removed successfully'
+      });
+    } catch (error) {
+      sendDomainError(res, error);
+    }
+  }
+}
+
+module.exports = new DomainController();
@@ -8,11 +8,212 @@
  * - Analytics tracking
  * - Bulk URL processing
  * - Access control enforcement
+ * - Link editing and rollback
+ * - Password protected links
+ * - Device/OS/browser redirect targeting
+ * - Weighted A/B destination rotation
+ * - UTM tagging and query-string passthrough
+ * - Raw click export (CSV, JSON, NDJSON)
+ * - Account-wide analytics
+ * - Paginated, searchable link listing
+ * - Tags and campaign folders
+ * - Asynchronous CSV bulk imports
+ * - Bulk update and delete with dry-run
+ * - Trash with restore
+ * - Scheduled activation and click limits
+ * - Fallback destinations and HTML error pages for visitors
+ * - QR scans told apart from clicks, per QR variant
+ * - Redirects queue their clicks instead of waiting for the database
+ * - Links on custom domains
+ * - Link previews and interstitial preview pages
  */
+const { pipeline } = require('stream');
 const urlService = require('../services/urlService');
+const importService = require('../services/importService');
+const qrService = require('../services/qrService');
+const { isClickBuffering, queueClick } = require('../jobs/clickFlush');
+const { unlockPage, notFoundPage, expiredPage, notYetActivePage, previewPage } = require('../views/pages');
+const { parseRangeQuery } = require('../utils/timeBuckets');
+const { parseListQuery } = require('../utils/listQuery');
+const { FORMATS, createExportStream } = require('../utils/clickExport');
+const {
+  parseQrQuery, parseQrVariant, qrTarget, readQrMarker
+} = require('../utils/qrOptions');
 const path = require('path');
 const config = require('../config/config');
 
+/**
+ * Map ownership and validation errors from the service to responses
+ * Shared by the owner-only endpoints
+ */
+const sendOwnerError = (res, error) => {
+  if (['No such URL', 'No such version', 'No such job'].includes(error.message)) {
+    return res.status(404).json({
+      status: 'CLIENT_ERROR',
+      message: error.message
+    });
+  } else if (error.message === 'Not authorized') {
+    return res.status(403).json({
+      status: 'AUTH_ERROR',
+      message: 'Authorization error'
+    });
+  }
+
+  return res.status(400).json({
+    status: 'CLIENT_ERROR',
+    message: error.message
+  });
+};
+
+// Range errors only found once the stats window is known, e.g. from the link's creation
+const isRangeError = (error) =>
+  ['Too many buckets', 'from must be before to'].some(message => error.message.includes(message));
+
+// Summary of per-code bulk results
+const sendBulkResults = (res, results, dryRun) => {
+  const succeeded = results.filter(result => result.success).length;
+
+  res.json({
+    status: 'SUCCESS',
+    dryRun,
+    matched: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  });
+};
+
+// Read a single cookie from the request header
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  const pair = header.split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+/**
+ * Send a visitor-facing error
+ * Browsers get an HTML page, API clients (and requests without an Accept header) get JSON
+ */
+const sendVisitorError = (res, status, body, page) => {
+  res.status(status).format({
+    json: () => res.json(body),
+    html: () => res.send(page()),
+    default: () => res.json(body)
+  });
+};
+
+/**
+ * Response for links whose scheduled activation is still ahead
+ * Not cached, the same URL starts redirecting at activatesAt
+ */
+const sendNotYetActive = (res, url) => {
+  res.set('Cache-Control', 'no-store');
+  sendVisitorError(res, 403, {
+    error: 'URL is not live yet',
+    activatesAt: url.activatesAt
+  }, () => notYetActivePage(url.activatesAt));
+};
+
+/**
+ * Response for codes that can't be followed
+ * Expired links send visitors to their fallback destination when there is one,
+ * otherwise 410 Gone; unknown and deleted codes get 404
+ */
+const sendUnavailable = async (req, res, error) => {
+  if (!error.message.includes('URL has expired')) {
+    return sendVisitorError(res, 404, { error: 'URL not found' }, notFoundPage);
+  }
+
+  const fallbackUrl = await urlService.getFallbackUrl(req.linkKey).catch(() => null);
+  // Not cached, the link may be revived or its fallback changed
+  res.set('Cache-Control', 'no-store');
+  if (fallbackUrl) {
+    return res.redirect(302, fallbackUrl);
+  }
+  sendVisitorError(res, 410, { error: 'URL has expired' }, expiredPage);
+};
+
+/**
+ * Show where a link goes instead of redirecting, nothing is counted
+ * Browsers get the preview page, API clients JSON
+ * Protected links never reveal their destination
+ */
+const sendPreview = (req, res, url) => {
+  const preview = {
+    shortUrl: url.shortUrl,
+    title: url.title,
+    destination: url.isProtected ? null : url.longUrl,
+    // Targeting rules and A/B variants may send this visitor elsewhere
+    varies: !url.isProtected && ((url.targeting || []).length > 0 || (url.variants || []).length > 0),
+    createdAt: url.createdAt,
+    isProtected: Boolean(url.isProtected)
+  };
+
+  // Not cached, the destination can be edited
+  res.set('Cache-Control', 'no-store');
+  res.format({
+    json: () => res.json(preview),
+    html: () => res.send(previewPage({
+      ...preview,
+      code: req.params.code,
+      query: req.originalUrl.split('?')[1]
+    })),
+    default: () => res.json(preview)
+  });
+};
+
+/**
+ * Resolve the destination for this visitor, track the click and redirect
+ * Shared by plain redirects and unlocked protected links
+ */
+const followLink = async (req, res, url, { status = 302, unlocked } = {}) => {
+  const { code } = req.params;
+  const variantCookie = `ab_${code}`;
+
+  const { destination, matchedRule, variant } = urlService.resolveDestination(url, {
+    userAgent: req.headers['user-agent'],
+    stickyVariant: url.stickyVariants ? readCookie(req, variantCookie) : null,
+    queryString: req.originalUrl.split('?')[1]
+  });
+
+  const clickData = {
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    referer: req.headers.referer,
+    country: config.countryHeader ? req.headers[config.countryHeader] : undefined,
+    unlocked,
+    matchedRule,
+    variant,
+    qr: readQrMarker(req.query)
+  };
+
+  // Click limits need the atomic update, other clicks are written in batches when the flush job runs
+  if (url.maxClicks || !isClickBuffering()) {
+    const tracked = await urlService.trackClick(url.urlCode, clickData);
+
+    // Deleted meanwhile, or another click used up the last one allowed
+    if (!tracked) {
+      throw new Error('URL has expired');
+    }
+  } else {
+    await queueClick(urlService.buildClick(url.urlCode, url.userId, clickData));
+  }
+
+  // Keep returning visitors on the same variant
+  if (variant && url.stickyVariants) {
+    res.cookie(variantCookie, variant, {
+      path: `/${code}`,
+      maxAge: 30 * 24 * 60 * 60 * 1000,
+      httpOnly: true,
+      sameSite: 'lax'
+    });
+  }
+
+  res.redirect(status, destination);
+};
+
 class UrlController {
   /**
    * Create Short URL
@@ -20,11 +221,28 @@ class UrlController {
    * @param {Object} req.body.longUrl - Original URL to shorten
    * @param {Object} req.body.customAlias - Optional custom alias
    * @param {Object} req.body.expiresIn - Optional expiration time in seconds
+   * @param {Object} req.body.password - Optional password visitors must enter
+   * @param {Array} req.body.targeting - Optional ordered rules { device, os, browser, destination }
+   * @param {Array} req.body.variants - Optional weighted destinations { name, destination, weight }
+   * @param {boolean} req.body.stickyVariants - Keep visitors on the same variant via a cookie
+   * @param {Object} req.body.utm - Optional { source, medium, campaign, term, content }
+   * @param {boolean} req.body.forwardQuery - Forward the visitor's query string to the destination
+   * @param {Array} req.body.tags - Optional tags
+   * @param {string} req.body.campaignId - Optional campaign to file the link in
+   * @param {string} req.body.activatesAt - Optional launch date (ISO), the link is not live before it
+   * @param {number} req.body.maxClicks - Optional number of clicks after which the link expires
+   * @param {string} req.body.fallbackUrl - Optional destination once the link has expired
+   * @param {string} req.body.domain - Optional verified custom domain to serve the link on
+   * @param {string} req.body.title - Optional title shown on the preview page
+   * @param {boolean} req.body.preview - Optional, true always shows the preview page, false never
    * @returns {Object} Shortened URL details with QR code
    **/
   async shortenUrl(req, res) {
     try {
-      const { longUrl, customAlias, expiresIn } = req.body;
+      const {
+        longUrl, customAlias, expiresIn, password, targeting, variants, stickyVariants,
+        utm, forwardQuery, tags, campaignId, activatesAt, maxClicks, fallbackUrl, domain, title, preview
+      } = req.body;
       
       // Calculate expiration date if provided
       let expiresAt = null;
@@ -36,15 +254,29 @@ class UrlController {
         longUrl, 
         customAlias, 
         expiresAt,
-        req.user.userId
+        req.user.userId,
+        {
+          password, targeting, variants, stickyVariants, utm, forwardQuery, tags, campaignId,
+          activatesAt, maxClicks, fallbackUrl, domain, title, preview
+        }
       );
 
       // Return URL details with QR code
       res.json({
+        urlCode: url.urlCode,
+        domain: url.domain,
         shortUrl: url.shortUrl,
-        qrCode: url.qrCode, 
+        qrCode: await qrService.toDataUrl(qrTarget(url.shortUrl)),
         created: url.createdAt,
-        expiresAt: url.expiresAt
+        expiresAt: url.expiresAt,
+        isProtected: url.isProtected,
+        tags: url.tags,
+        campaignId: url.campaignId,
+        activatesAt: url.activatesAt,
+        maxClicks: url.maxClicks,
+        fallbackUrl: url.fallbackUrl,
+        title: url.title,
+        preview: url.preview
       });
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -55,23 +287,95 @@ class UrlController {
    * Redirect to Original URL
    * GET /:code
    * Handles URL redirection and tracks analytics
+   * Protected links get the unlock form instead
+   * Expired links go to their fallback destination or answer 410, unknown codes 404
    * @param {string} req.params.code - Short URL code
+   * @param {string} req.linkKey - Key of the link on the requested host, see middleware/linkHost
    */
   async redirect(req, res) {
     try {
       const { code } = req.params;
-      const url = await urlService.getUrl(code);
-      
-      // Track click analytics
-      await urlService.trackClick(code, {
-        ip: req.ip,
-        userAgent: req.headers['user-agent'],
-        referer: req.headers.referer
-      });
+      const url = await urlService.getUrl(req.linkKey);
 
-      res.redirect(url.longUrl);
+      if (!urlService.isActive(url)) {
+        return sendNotYetActive(res, url);
+      }
+
+      if (url.isProtected) {
+        await urlService.trackLockedVisit(req.linkKey);
+        // The form posts back with the query string, so QR scans are still counted as such
+        return res.send(unlockPage(code, null, req.originalUrl.split('?')[1]));
+      }
+
+      // Interstitial, its Continue button posts to unlock()
+      if (url.preview) {
+        return sendPreview(req, res, url);
+      }
+
+      await followLink(req, res, url);
     } catch (error) {
-      res.status(404).json({ error: 'URL not found' });
+      await sendUnavailable(req, res, error);
+    }
+  }
+
+  /**
+   * Unlock Protected URL
+   * POST /:code
+   * Verifies the submitted password, then tracks the click and redirects
+   * Also where the Continue button of interstitial previews posts to
+   * @param {string} req.params.code - Short URL code
+   * @param {string} req.body.password - Submitted password
+   * @param {string} req.linkKey - Key of the link on the requested host, see middleware/linkHost
+   */
+  async unlock(req, res) {
+    try {
+      const { code } = req.params;
+      const url = await urlService.getUrl(req.linkKey);
+
+      if (!urlService.isActive(url)) {
+        return sendNotYetActive(res, url);
+      }
+
+      if (!url.isProtected && !url.preview) {
+        return res.redirect(303, `/${code}`);
+      }
+
+      if (url.isProtected) {
+        const isValid = await urlService.verifyPassword(req.linkKey, req.body.password);
+        if (!isValid) {
+          return res.status(401).send(unlockPage(code, 'Incorrect password', req.originalUrl.split('?')[1]));
+        }
+      }
+
+      // Unlocked, or confirmed on the interstitial preview
+      await followLink(req, res, url, { status: 303, unlocked: url.isProtected });
+    } catch (error) {
+      await sendUnavailable(req, res, error);
+    }
+  }
+
+  /**
+   * Preview URL
+   * GET /:code/preview
+   * Shows the destination, creation date and title of a link without counting a click
+   * Expired links answer 410 without going to their fallback, unknown codes 404
+   * @param {string} req.linkKey - Key of the link on the requested host, see middleware/linkHost
+   */
+  async preview(req, res) {
+    try {
+      const url = await urlService.getUrl(req.linkKey);
+
+      if (!urlService.isActive(url)) {
+        return sendNotYetActive(res, url);
+      }
+
+      sendPreview(req, res, url);
+    } catch (error) {
+      if (error.message.includes('URL has expired')) {
+        res.set('Cache-Control', 'no-store');
+        return sendVisitorError(res, 410, { error: 'URL has expired' }, expiredPage);
+      }
+      sendVisitorError(res, 404, { error: 'URL not found' }, notFoundPage);
     }
   }
 
@@ -80,25 +384,134 @@ class UrlController {
    * GET /urls/:code/stats
    * Retrieves detailed analytics for a specific URL
    * @param {string} req.params.code - Short URL code
+   * @param {string} req.query.from - Optional window start (ISO date), defaults to creation
+   * @param {string} req.query.to - Optional window end (ISO date), defaults to now
+   * @param {string} req.query.granularity - Optional hour, day (default), week or month
+   * @param {string} req.query.tz - Optional IANA time zone for buckets, defaults to UTC
+   * @param {string} req.query.includeBots - 'true' to include crawler and link-preview hits
    * @returns {Object} URL statistics and analytics
    */
   async getUrlStats(req, res) {
+    let range;
+    try {
+      range = parseRangeQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     try {
       const { code } = req.params;
-      const stats = await urlService.getUrlStats(code);
+      const stats = await urlService.getUrlStats(code, {
+        ...range,
+        includeBots: req.query.includeBots === 'true'
+      });
       res.json({
         totalClicks: stats.totalClicks,
+        botClicks: stats.botClicks,
+        periodClicks: stats.periodClicks,
+        uniqueVisitors: stats.uniqueVisitors,
+        range: stats.range,
         browserStats: stats.browserStats,
+        osStats: stats.osStats,
+        deviceStats: stats.deviceStats,
         referrerStats: stats.referrerStats,
         clicksByDate: stats.clicksByDate,
+        uniqueVisitorsByDate: stats.uniqueVisitorsByDate,
         lastClicked: stats.lastClicked,
-        averageClicksPerDay: stats.averageClicksPerDay
+        averageClicksPerDay: stats.averageClicksPerDay,
+        lockedVisits: stats.lockedVisits,
+        unlockedVisits: stats.unlockedVisits,
+        targetingStats: stats.targetingStats,
+        variantStats: stats.variantStats,
+        channelStats: stats.channelStats,
+        qrVariantStats: stats.qrVariantStats,
+        comparison: stats.comparison
       });
     } catch (error) {
+      if (isRangeError(error)) {
+        return res.status(400).json({ error: error.message });
+      }
       res.status(404).json({ error: error.message });
     }
   }
 
+  /**
+   * Get Account Analytics
+   * GET /urls/analytics
+   * Aggregates clicks across all of the authenticated user's URLs
+   * Accepts the same from, to, granularity, tz and includeBots parameters as URL statistics
+   * @returns {Object} Clicks over time, top links and referrers, client breakdowns, link counts
+   */
+  async getAnalytics(req, res) {
+    let range;
+    try {
+      range = parseRangeQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const analytics = await urlService.getAccountAnalytics(req.user.userId, {
+        ...range,
+        includeBots: req.query.includeBots === 'true'
+      });
+      res.json(analytics);
+    } catch (error) {
+      if (isRangeError(error)) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Export Clicks
+   * GET /urls/:code/clicks/export
+   * Streams every recorded click of an owned URL
+   * @param {string} req.params.code - Short URL code
+   * @param {string} req.query.format - csv (default), json or ndjson
+   * @param {string} req.query.from - Optional window start (ISO date)
+   * @param {string} req.query.to - Optional window end (ISO date)
+   * @param {string} req.query.includeBots - 'true' to include crawler and link-preview hits
+   */
+  async exportClicks(req, res) {
+    const { code } = req.params;
+    const format = req.query.format || 'csv';
+
+    if (!FORMATS[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    let range;
+    try {
+      range = parseRangeQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    let cursor;
+    try {
+      cursor = await urlService.getClickCursor(code, req.user.userId, {
+        ...range,
+        includeBots: req.query.includeBots === 'true'
+      });
+    } catch (error) {
+      return sendOwnerError(res, error);
+    }
+
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${code}-clicks.${FORMATS[format].extension}"`
+    });
+
+    pipeline(cursor, createExportStream(format), res, (error) => {
+      // Headers are gone once streaming started, the best we can do is cut the response
+      if (error && !res.headersSent) {
+        res.status(500).json({ error: 'Export failed' });
+      }
+    });
+  }
+
   /**
    * Create Multiple Short URLs
    * POST /urls/bulk
@@ -122,14 +535,189 @@ class UrlController {
     }
   }
 
+  /**
+   * Bulk Update URLs
+   * POST /urls/bulk/update
+   * Changes expiry and/or tags of many owned URLs
+   * @param {Array} req.body.codes - Codes to update, or
+   * @param {Object} req.body.filter - { tag, campaignId, createdBefore, expired } selecting owned URLs
+   * @param {number|null} req.body.expiresIn - Optional new expiry in seconds from now, null removes it
+   * @param {string|null} req.body.expiresAt - Optional new absolute expiry, null removes it
+   * @param {Array} req.body.tags - Optional replacement tags
+   * @param {Array} req.body.addTags - Optional tags to add
+   * @param {Array} req.body.removeTags - Optional tags to remove
+   * @param {boolean} req.body.dryRun - Report the changes without applying them
+   * @returns {Object} Per-code results
+   */
+  async bulkUpdateUrls(req, res) {
+    try {
+      const {
+        codes, filter, expiresIn, expiresAt, tags, addTags, removeTags, dryRun
+      } = req.body;
+
+      const changes = { tags, addTags, removeTags };
+      if (expiresIn !== undefined) {
+        changes.expiresAt = expiresIn === null
+          ? null
+          : new Date(Date.now() + parseInt(expiresIn) * 1000);
+      } else if (expiresAt !== undefined) {
+        changes.expiresAt = expiresAt === null ? null : new Date(expiresAt);
+      }
+
+      const results = await urlService.bulkUpdateUrls(
+        req.user.userId,
+        { codes, filter },
+        changes,
+        dryRun === true
+      );
+      sendBulkResults(res, results, dryRun === true);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Bulk Delete URLs
+   * POST /urls/bulk/delete
+   * Deletes many owned URLs with their analytics
+   * @param {Array} req.body.codes - Codes to delete, or
+   * @param {Object} req.body.filter - { tag, campaignId, createdBefore, expired } selecting owned URLs
+   * @param {boolean} req.body.dryRun - Report what would be deleted without deleting
+   * @returns {Object} Per-code results
+   */
+  async bulkDeleteUrls(req, res) {
+    try {
+      const { codes, filter, dryRun } = req.body;
+
+      const results = await urlService.bulkDeleteUrls(
+        req.user.userId,
+        { codes, filter },
+        dryRun === true
+      );
+      sendBulkResults(res, results, dryRun === true);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Import URLs from CSV
+   * POST /urls/bulk/import
+   * Starts a background import and answers right away with the job
+   * @param {string} req.body - CSV text (Content-Type: text/csv) with a header row;
+   * columns longUrl (required), customAlias, expiresAt, tags (separated by ;), campaignId
+   * @returns {Object} Job id and status URL
+   */
+  async importUrls(req, res) {
+    try {
+      const job = await importService.createImportJob(
+        req.user.userId,
+        typeof req.body === 'string' ? req.body : undefined
+      );
+
+      res.status(202).json({
+        status: 'SUCCESS',
+        data: {
+          jobId: job._id,
+          status: job.status,
+          totalRows: job.totalRows,
+          statusUrl: `/urls/bulk/jobs/${job._id}`
+        }
+      });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Get Import Job
+   * GET /urls/bulk/jobs/:id
+   * @param {string} req.params.id - Import job id
+   * @returns {Object} Job status and progress
+   */
+  async getImportJob(req, res) {
+    try {
+      const job = await importService.getJob(req.params.id, req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        data: {
+          jobId: job._id,
+          status: job.status,
+          totalRows: job.totalRows,
+          processedRows: job.processedRows,
+          succeeded: job.succeeded,
+          failed: job.failed,
+          progress: job.totalRows > 0
+            ? Number(((job.processedRows / job.totalRows) * 100).toFixed(2))
+            : 0,
+          error: job.error,
+          createdAt: job.createdAt,
+          startedAt: job.startedAt,
+          finishedAt: job.finishedAt,
+          resultsUrl: `/urls/bulk/jobs/${job._id}/results`
+        }
+      });
+    } catch (error) {
+      sendOwnerError(res, error);
+    }
+  }
+
+  /**
+   * Download Import Results
+   * GET /urls/bulk/jobs/:id/results
+   * Streams one CSV line per processed row; rows still in progress are not included yet
+   * @param {string} req.params.id - Import job id
+   */
+  async downloadImportResults(req, res) {
+    let cursor;
+    try {
+      cursor = await importService.getResultsCursor(req.params.id, req.user.userId);
+    } catch (error) {
+      return sendOwnerError(res, error);
+    }
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="import-${req.params.id}-results.csv"`
+    });
+
+    pipeline(cursor, importService.createResultsStream(), res, (error) => {
+      if (error && !res.headersSent) {
+        res.status(500).json({ error: 'Download failed' });
+      }
+    });
+  }
+
   /**
    * Get QR Code
    * GET /urls/:code/qr
-   * Retrieves QR code for a specific URL
+   * Renders the QR code for a specific URL
+   * The code encodes the short URL with a scan marker, so scans show up as the qr channel
+   * Without a format, answers with the legacy JSON holding a PNG data URL
    * @param {string} req.params.code - Short URL code
-   * @returns {Object} QR code and short URL
+   * @param {string} req.query.variant - Optional QR variant name, e.g. one per poster location
+   * @param {string} req.query.format - Optional png or svg, returns the image itself
+   * @param {number} req.query.size - Optional width in pixels, 64-2048 (default 300)
+   * @param {number} req.query.margin - Optional quiet zone in modules, 0-20 (default 4)
+   * @param {string} req.query.fg - Optional foreground hex colour (default #000000)
+   * @param {string} req.query.bg - Optional background hex colour (default #ffffff)
+   * @param {string} req.query.ecl - Optional error correction level L, M (default), Q or H
+   * @param {string} req.query.logo - 'true' to embed the configured logo in the centre
+   * @returns {Object|Buffer} QR code image, or QR code data URL and short URL
    */
   async getQrCode(req, res) {
+    let options = null;
+    let qrVariant;
+    try {
+      qrVariant = parseQrVariant(req.query.variant);
+      if (req.query.format !== undefined) {
+        options = parseQrQuery(req.query);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     try {
       const { code } = req.params;
       const url = await urlService.getUrl(code);
@@ -138,11 +726,24 @@ class UrlController {
         return res.status(404).json({ error: 'URL not found' });
       }
 
-      res.json({
-        qrCode: url.qrCode,
-        shortUrl: url.shortUrl
-      });
+      const target = qrTarget(url.shortUrl, qrVariant);
+      if (!options) {
+        return res.json({
+          qrCode: await qrService.toDataUrl(target),
+          shortUrl: url.shortUrl,
+          target
+        });
+      }
+
+      const image = await qrService.render(target, options);
+      res.set('Content-Type', image.contentType);
+      // The image only depends on the short URL and the query
+      res.set('Cache-Control', 'private, max-age=86400');
+      res.send(image.body);
     } catch (error) {
+      if (error.message === 'No QR logo configured') {
+        return res.status(400).json({ error: error.message });
+      }
       if (error.message.includes('not found')) {
         return res.status(404).json({ error: error.message });
       }
@@ -153,16 +754,41 @@ class UrlController {
   /**
    * List All URLs
    * GET /urls
-   * Retrieves all URLs for the authenticated user
-   * @returns {Array} List of user's URLs
+   * Retrieves the authenticated user's URLs one page at a time
+   * @param {string} req.query.q - Optional search across destination and code
+   * @param {string} req.query.campaign - Optional UTM campaign filter
+   * @param {string} req.query.tag - Optional tag filter
+   * @param {string} req.query.campaignId - Optional campaign folder filter
+   * @param {string} req.query.status - Optional active or expired
+   * @param {string} req.query.hasExpiry - Optional 'true' or 'false'
+   * @param {string} req.query.createdFrom - Optional creation window start (ISO date)
+   * @param {string} req.query.createdTo - Optional creation window end (ISO date)
+   * @param {string} req.query.sort - createdAt (default), clicks or lastClickedAt
+   * @param {string} req.query.order - desc (default) or asc
+   * @param {number} req.query.limit - Page size, 1-100 (default 50)
+   * @param {string} req.query.cursor - nextCursor of the previous page
+   * @returns {Object} Page of URLs with total count and next cursor
    */
   async getAllUrls(req, res) {
+    let options;
     try {
-      const urls = await urlService.getAllUrls(req.user.userId);
+      options = parseListQuery(req.query);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+      const { urls, total, nextCursor } = await urlService.getAllUrls(req.user.userId, options);
       
       res.json({
         success: true,
-        data: urls
+        data: urls,
+        pagination: {
+          total,
+          limit: options.limit,
+          nextCursor,
+          hasMore: Boolean(nextCursor)
+        }
       });
     } catch (error) {
       res.status(500).json({
@@ -172,10 +798,169 @@ class UrlController {
     }
   }
 
+  /**
+   * Update URL
+   * PATCH /urls/:code
+   * Changes destination, expiry and/or alias of an owned URL
+   * @param {string} req.params.code - Short URL code
+   * @param {string} req.body.longUrl - Optional new destination
+   * @param {string} req.body.customAlias - Optional new alias
+   * @param {number|null} req.body.expiresIn - Optional expiration in seconds, null removes it
+   * @param {string|null} req.body.expiresAt - Optional absolute expiration date, null removes it
+   * @param {string|null} req.body.password - Optional new password, null removes protection
+   * @param {Array} req.body.targeting - Optional replacement targeting rules, [] removes them
+   * @param {Array} req.body.variants - Optional replacement weighted destinations, [] removes them
+   * @param {boolean} req.body.stickyVariants - Optional sticky variant toggle
+   * @param {Object|null} req.body.utm - Optional replacement UTM fields, null removes them
+   * @param {boolean} req.body.forwardQuery - Optional query-string passthrough toggle
+   * @param {Array} req.body.tags - Optional replacement tags, [] removes them
+   * @param {string|null} req.body.campaignId - Optional campaign, null takes the link out of it
+   * @param {string|null} req.body.fallbackUrl - Optional destination once expired, null removes it
+   * @param {string|null} req.body.title - Optional preview page title, null removes it
+   * @param {boolean|null} req.body.preview - Optional preview setting, null follows the account setting
+   * @returns {Object} Updated URL details
+   */
+  async updateUrl(req, res) {
+    try {
+      const { code } = req.params;
+      const {
+        longUrl, customAlias, expiresIn, expiresAt, password, targeting, variants, stickyVariants,
+        utm, forwardQuery, tags, campaignId, fallbackUrl, title, preview
+      } = req.body;
+
+      const updates = {
+        longUrl, customAlias, password, targeting, variants, stickyVariants, utm, forwardQuery,
+        tags, campaignId, fallbackUrl, title, preview
+      };
+      if (expiresIn !== undefined) {
+        updates.expiresAt = expiresIn === null
+          ? null
+          : new Date(Date.now() + parseInt(expiresIn) * 1000);
+      } else if (expiresAt !== undefined) {
+        updates.expiresAt = expiresAt === null ? null : new Date(expiresAt);
+      }
+
+      const url = await urlService.updateUrl(code, req.user.userId, updates);
+
+      res.json({
+        status: 'SUCCESS',
+        data: {
+          urlCode: url.urlCode,
+          shortUrl: url.shortUrl,
+          longUrl: url.longUrl,
+          expiresAt: url.expiresAt,
+          isProtected: url.isProtected,
+          targeting: url.targeting,
+          variants: url.variants,
+          stickyVariants: url.stickyVariants,
+          utm: url.utm,
+          forwardQuery: url.forwardQuery,
+          tags: url.tags,
+          campaignId: url.campaignId,
+          fallbackUrl: url.fallbackUrl,
+          title: url.title,
+          preview: url.preview,
+          version: url.version
+        }
+      });
+    } catch (error) {
+      sendOwnerError(res, error);
+    }
+  }
+
+  /**
+   * Get Destination History
+   * GET /urls/:code/history
+   * Lists previous destinations of an owned URL
+   * @param {string} req.params.code - Short URL code
+   * @returns {Object} Current version and previous destinations
+   */
+  async getUrlHistory(req, res) {
+    try {
+      const { code } = req.params;
+      const history = await urlService.getUrlHistory(code, req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        data: history
+      });
+    } catch (error) {
+      sendOwnerError(res, error);
+    }
+  }
+
+  /**
+   * Roll Back Destination
+   * POST /urls/:code/rollback
+   * Restores the destination of an earlier version
+   * @param {string} req.params.code - Short URL code
+   * @param {number} req.body.version - Version to restore
+   * @returns {Object} Updated URL details
+   */
+  async rollbackUrl(req, res) {
+    try {
+      const { code } = req.params;
+      const url = await urlService.rollbackUrl(code, req.user.userId, req.body.version);
+
+      res.json({
+        status: 'SUCCESS',
+        data: {
+          urlCode: url.urlCode,
+          longUrl: url.longUrl,
+          version: url.version
+        }
+      });
+    } catch (error) {
+      sendOwnerError(res, error);
+    }
+  }
+
+  /**
+   * List Trash
+   * GET /urls/trash
+   * Lists deleted URLs that can still be restored
+   * @returns {Array} Deleted URLs with their purge date
+   */
+  async getTrash(req, res) {
+    try {
+      const urls = await urlService.getTrash(req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        data: urls
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Restore URL
+   * POST /urls/:code/restore
+   * Takes a deleted URL out of the trash, it redirects again right away
+   * @param {string} req.params.code - Short URL code
+   */
+  async restoreUrl(req, res) {
+    try {
+      const url = await urlService.restoreUrl(req.params.code, req.user.userId);
+
+      res.json({
+        status: 'SUCCESS',
+        data: {
+          urlCode: url.urlCode,
+          shortUrl: url.shortUrl,
+          longUrl: url.longUrl
+        }
+      });
+    } catch (error) {
+      sendOwnerError(res, error);
+    }
+  }
+
   /**
    * Delete URL
    * DELETE /urls/:code
-   * Removes a URL if owned by the requesting user
+   * Moves a URL to the trash if owned by the requesting user
    * @param {string} req.params.code - Short URL code
    * @returns {Object} Deletion status
    */
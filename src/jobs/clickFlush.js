@@ -0,0 +1,156 @@
+/**
+ * Click Flush Job
+ * Keeps redirects off the database: clicks are queued in memory and written in batches
+ * Features:
+ * - Flushes on a short fixed interval and on shutdown
+ * - Bounded queue, a full queue waits for a flush instead of growing
+ * - Failed batches are retried on the next flush
+ * - Finishes counting clicks left pending by a failed flush or a process that died mid-flush
+ * - Never keeps the process alive on its own
+ * - Keeps counters for the admin status endpoint
+ */
+
+const urlService = require('../services/urlService');
+const config = require('../config/config');
+
+// A flush takes well under this, older pending clicks belong to a failed flush or a dead process
+const RECOVERY_AFTER_MS = 5 * 60 * 1000;
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+let queue = [];
+let flushTimer = null;
+let recoveryTimer = null;
+let flushing = null;
+const state = {
+  lastFlushAt: null,
+  lastFlushed: null,
+  lastError: null,
+  lastRecoveredAt: null,
+  totals: { flushes: 0, flushed: 0, dropped: 0, recovered: 0 }
+};
+
+/**
+ * Whether redirects should queue their clicks, i.e. something is flushing them
+ */
+const isClickBuffering = () => Boolean(flushTimer);
+
+/**
+ * Write everything queued so far
+ * Joins the flush already in progress instead of starting a second one
+ * @returns {number} Number of clicks written
+ */
+const flushClicks = () => {
+  if (flushing) return flushing;
+  if (queue.length === 0) return Promise.resolve(0);
+
+  const batch = queue;
+  queue = [];
+  flushing = (async () => {
+    try {
+      await urlService.writeClicks(batch);
+      state.lastFlushed = batch.length;
+      state.lastError = null;
+      state.totals.flushed += batch.length;
+      return batch.length;
+    } catch (error) {
+      // Back in front of newer clicks, as much as fits
+      const room = Math.max(config.clickQueueMax - queue.length, 0);
+      queue = [...batch.slice(0, room), ...queue];
+      state.totals.dropped += Math.max(batch.length - room, 0);
+      state.lastError = error.message;
+      console.error('Click flush failed:', error);
+      return 0;
+    } finally {
+      state.totals.flushes += 1;
+      state.lastFlushAt = new Date();
+      flushing = null;
+    }
+  })();
+  return flushing;
+};
+
+/**
+ * Queue the click of a redirect
+ * Only waits when the queue is full, for the flush that makes room
+ * @param {Object} click - Document from urlService.buildClick
+ * @returns {boolean} false when the click had to be dropped
+ */
+const queueClick = async (click) => {
+  if (queue.length >= config.clickQueueMax) {
+    await flushClicks();
+  }
+  if (queue.length >= config.clickQueueMax) {
+    state.totals.dropped += 1;
+    return false;
+  }
+  queue.push(click);
+  return true;
+};
+
+/**
+ * Count orphaned pending clicks
+ * @returns {number|null} Number of clicks recovered, null when it failed
+ */
+const runClickRecovery = async (now = new Date()) => {
+  try {
+    const recovered = await urlService.recoverClicks(new Date(now.getTime() - RECOVERY_AFTER_MS));
+    state.lastRecoveredAt = new Date();
+    state.totals.recovered += recovered;
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} clicks left pending by an earlier process`);
+    }
+    return recovered;
+  } catch (error) {
+    console.error('Click recovery failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Start buffering clicks, recovering the ones an earlier process left pending first
+ * @returns {Promise} The startup recovery
+ */
+const startClickFlush = () => {
+  if (flushTimer) return Promise.resolve(null);
+  flushTimer = setInterval(flushClicks, config.clickFlushIntervalMs);
+  flushTimer.unref();
+  recoveryTimer = setInterval(runClickRecovery, RECOVERY_INTERVAL_MS);
+  recoveryTimer.unref();
+  return runClickRecovery();
+};
+
+/**
+ * Stop buffering and write what is still queued
+ */
+const stopClickFlush = async () => {
+  clearInterval(flushTimer);
+  clearInterval(recoveryTimer);
+  flushTimer = null;
+  recoveryTimer = null;
+  // The first may only join a flush already running, or fail and requeue its batch
+  await flushClicks();
+  return flushClicks();
+};
+
+/**
+ * Current state of the queue, for the admin endpoint
+ */
+const getClickFlushStatus = () => ({
+  scheduled: Boolean(flushTimer),
+  flushing: Boolean(flushing),
+  intervalMs: config.clickFlushIntervalMs,
+  queueMax: config.clickQueueMax,
+  queued: queue.length,
+  ...state,
+  totals: { ...state.totals }
+});
+
+module.exports = {
+  isClickBuffering,
+  queueClick,
+  flushClicks,
+  runClickRecovery,
+  startClickFlush,
+  stopClickFlush,
+  getClickFlushStatus
+};
@@ -0,0 +1,90 @@
+/**
+ * Expiry Sweep Job
+ * Periodically flags expired links and archives them after the grace period
+ * Features:
+ * - Runs inside the API process on a fixed interval
+ * - Never keeps the process alive on its own
+ * - Skips a run while the previous one is still going
+ * - Keeps the outcome of the last run for the admin status endpoint
+ */
+
+const urlService = require('../services/urlService');
+const config = require('../config/config');
+
+const INTERVAL_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+const state = {
+  lastRunAt: null,
+  lastFinishedAt: null,
+  lastDurationMs: null,
+  lastResult: null,
+  lastError: null,
+  totals: { runs: 0, marked: 0, archived: 0 }
+};
+
+/**
+ * Run one sweep
+ * @returns {Object|null} { marked, archived }, null when a run was already in progress or failed
+ */
+const runExpirySweep = async (now = new Date()) => {
+  if (running) return null;
+  running = true;
+  state.lastRunAt = new Date();
+  try {
+    const marked = await urlService.sweepExpired(now);
+    const archived = await urlService.archiveExpired(now);
+
+    state.lastResult = { marked, archived };
+    state.lastError = null;
+    state.totals.marked += marked;
+    state.totals.archived += archived;
+    if (marked > 0 || archived > 0) {
+      console.log(`Expiry sweep flagged ${marked} and archived ${archived} links`);
+    }
+    return state.lastResult;
+  } catch (error) {
+    state.lastError = error.message;
+    console.error('Expiry sweep failed:', error);
+    return null;
+  } finally {
+    state.totals.runs += 1;
+    state.lastFinishedAt = new Date();
+    state.lastDurationMs = state.lastFinishedAt - state.lastRunAt;
+    running = false;
+  }
+};
+
+/**
+ * Start sweeping every five minutes
+ */
+const startExpirySweep = () => {
+  if (timer) return;
+  timer = setInterval(runExpirySweep, INTERVAL_MS);
+  timer.unref();
+};
+
+const stopExpirySweep = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Current state of the sweep, for the admin endpoint
+ */
+const getExpirySweepStatus = () => ({
+  scheduled: Boolean(timer),
+  running,
+  intervalMs: INTERVAL_MS,
+  archiveAfterDays: config.archiveAfterDays,
+  ...state,
+  totals: { ...state.totals }
+});
+
+module.exports = {
+  runExpirySweep,
+  startExpirySweep,
+  stopExpirySweep,
+  getExpirySweepStatus
+};
@@ -0,0 +1,60 @@
+/**
+ * Import Watchdog Job
+ * Fails CSV imports whose process was restarted or crashed mid-import
+ * Features:
+ * - Runs inside the API process on startup and on a fixed interval
+ * - Only fails jobs without a heartbeat for a while, so imports other instances run are left alone
+ * - Never keeps the process alive on its own
+ * - Skips a run while the previous one is still going
+ */
+
+const importService = require('../services/importService');
+
+// Running jobs write a heartbeat per batch, far more often than this
+const STALLED_AFTER_MS = 10 * 60 * 1000;
+const INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Fail the imports nobody is running anymore
+ * @returns {number|null} Number of jobs failed, null when a run was already in progress or failed
+ */
+const runImportWatchdog = async (now = new Date()) => {
+  if (running) return null;
+  running = true;
+  try {
+    const failed = await importService.failStalledJobs(new Date(now.getTime() - STALLED_AFTER_MS));
+    if (failed > 0) {
+      console.log(`Failed ${failed} interrupted import jobs`);
+    }
+    return failed;
+  } catch (error) {
+    console.error('Import watchdog failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start watching, with a first run right away for jobs an earlier process left behind
+ */
+const startImportWatchdog = () => {
+  if (timer) return;
+  timer = setInterval(runImportWatchdog, INTERVAL_MS);
+  timer.unref();
+  runImportWatchdog();
+};
+
+const stopImportWatchdog = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runImportWatchdog,
+  startImportWatchdog,
+  stopImportWatchdog
+};
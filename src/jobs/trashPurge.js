@@ -0,0 +1,50 @@
+/**
+ * Trash Purge Job
+ * Periodically removes links that have been in the trash past the retention period
+ * Features:
+ * - Runs inside the API process on a fixed interval
+ * - Never keeps the process alive on its own
+ * - Skips a run while the previous one is still going
+ */
+
+const urlService = require('../services/urlService');
+
+const INTERVAL_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+const runTrashPurge = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const purged = await urlService.purgeTrash();
+    if (purged > 0) {
+      console.log(`Purged ${purged} links from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge failed:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start purging hourly
+ */
+const startTrashPurge = () => {
+  if (timer) return;
+  timer = setInterval(runTrashPurge, INTERVAL_MS);
+  timer.unref();
+};
+
+const stopTrashPurge = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runTrashPurge,
+  startTrashPurge,
+  stopTrashPurge
+};
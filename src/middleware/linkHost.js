@@ -0,0 +1,33 @@
+/**
+ * Link Host Middleware
+ * Works out which link a visitor path refers to from the Host header
+ * Paths on a verified custom domain resolve to that domain's links,
+ * any other host to the links on the default domain
+ * Sets req.linkKey, see utils/domains
+ * Paths that aren't a link code get 404, so `<hostname>:<code>` on the default
+ * domain can't reach the links of a custom domain
+ */
+const domainService = require('../services/domainService');
+const { linkKey, isLinkCode } = require('../utils/domains');
+const { notFoundPage } = require('../views/pages');
+
+const linkHost = async (req, res, next) => {
+  if (!isLinkCode(req.params.code)) {
+    const body = { error: 'URL not found' };
+    return res.status(404).format({
+      json: () => res.json(body),
+      html: () => res.send(notFoundPage()),
+      default: () => res.json(body)
+    });
+  }
+
+  try {
+    const domain = await domainService.servedDomain(req.hostname);
+    req.linkKey = linkKey(req.params.code, domain);
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = linkHost;
@@ -2,6 +2,8 @@ const rateLimit = require('express-rate-limit');
 
 // Redis store for distributed rate limiting across multiple servers
 const RedisStore = require('rate-limit-redis');
+const { unlockPage } = require('../views/pages');
+const urlService = require('../services/urlService');
 
 /**
  * General API Rate Limiter Configuration
@@ -44,8 +46,55 @@ const registerLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Shown again with an error once a link unlock limit is hit
+const sendUnlockLimited = (req, res) => {
+  res.status(429).send(unlockPage(req.params.code, 'Too many attempts, please try again later'));
+};
+
+/**
+ * Link Unlock Rate Limiter
+ * Throttles password guessing on protected links, runs after linkHost
+ * - 5 failed attempts per link per IP per 15 minutes
+ * - Successful unlocks are not counted
+ */
+const unlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `${req.linkKey}:${req.ip}`,
+  handler: sendUnlockLimited
+});
+
+/**
+ * Per-Link Unlock Rate Limiter
+ * Caps guessing spread over many IPs, on top of unlockLimiter
+ * - 50 failed attempts per link per 15 minutes
+ * - Successful unlocks are not counted
+ * - Over the cap only failures are refused, a correct password still unlocks,
+ *   so guessing can't lock visitors out of a link
+ */
+const linkUnlockLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 50,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => req.linkKey,
+  handler: async (req, res, next) => {
+    const password = req.body ? req.body.password : undefined;
+    if (await urlService.verifyPassword(req.linkKey, password).catch(() => false)) {
+      return next();
+    }
+    sendUnlockLimited(req, res);
+  }
+});
+
 module.exports = {
   rateLimiter,
   authLimiter,
-  registerLimiter
+  registerLimiter,
+  unlockLimiter,
+  linkUnlockLimiter
 }; 
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * Admin Middleware
+ * Restricts a route to users with the admin role
+ * Must run after the auth middleware, the role is read fresh from the database
+ * so revoking it takes effect without waiting for tokens to expire
+ */
+const User = require('../models/User');
+
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'AUTH_ERROR',
+        message: 'Admin access required'
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = requireAdmin;
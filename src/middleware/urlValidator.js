@@ -12,7 +12,17 @@
 
 const { isURL } = require('validator');
 
-
+/**
+ * Validate a single destination URL
+ * Returns the sanitized URL, or null if it is missing or malformed
+ * Shared with the service layer so updates follow the same rules as creation
+ */
+const sanitizeLongUrl = (longUrl) => {
+  if (!longUrl || typeof longUrl !== 'string' || !isURL(longUrl, { require_protocol: true })) {
+    return null;
+  }
+  return encodeURI(longUrl);
+};
 
 const urlValidator = (req, res, next) => {
   // Handle bulk URL creation
@@ -25,28 +35,30 @@ const urlValidator = (req, res, next) => {
 
     // Validate each URL in the array
     for (const urlObj of urls) {
-      if (!urlObj.longUrl || !isURL(urlObj.longUrl, { require_protocol: true })) {
+      const sanitized = sanitizeLongUrl(urlObj.longUrl);
+      if (!sanitized) {
         return res.status(400).json({ 
           error: 'Invalid URL format',
           invalidUrl: urlObj.longUrl 
         });
       }
       // Sanitize URL
-      urlObj.longUrl = encodeURI(urlObj.longUrl);
+      urlObj.longUrl = sanitized;
     }
   } else {
     // Handle single URL creation
-    const { longUrl } = req.body;
+    const sanitized = sanitizeLongUrl(req.body.longUrl);
     
-    if (!longUrl || !isURL(longUrl, { require_protocol: true })) {
+    if (!sanitized) {
       return res.status(400).json({ error: 'Invalid URL format' });
     }
 
     // Sanitize URL
-    req.body.longUrl = encodeURI(longUrl);
+    req.body.longUrl = sanitized;
   }
   
   next();
 };
 
-module.exports = urlValidator; 
\ No newline at end of file
+module.exports = urlValidator;
+module.exports.sanitizeLongUrl = sanitizeLongUrl; 
\ No newline at end of file
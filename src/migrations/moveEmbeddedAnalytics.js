@@ -0,0 +1,139 @@
+/**
+ * Migration: move embedded analytics into the Click collection
+ * Older Url documents carry every click in an `analytics` array.
+ * This copies them into Click documents, rebuilds the hourly/daily
+ * rollups and counters of each migrated link and removes the embedded array.
+ *
+ * Safe to re-run: clicks keep the _id of their embedded entry, so
+ * already copied clicks are skipped. Run it while redirects are paused,
+ * rollups of a link are rebuilt from scratch.
+ *
+ * Usage: npm run migrate:clicks
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const ClickRollup = require('../models/ClickRollup');
+const { parseUserAgent } = require('../utils/userAgent');
+const { visitorId } = require('../utils/visitor');
+
+// Recompute the rollups of a link from its human Click documents
+const rebuildRollups = async (urlCode, userId) => {
+  await ClickRollup.deleteMany({ urlCode });
+
+  for (const granularity of ['hour', 'day']) {
+    const buckets = await Click.aggregate([
+      { $match: { urlCode, isBot: { $ne: true } } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$timestamp', unit: granularity } },
+          clicks: { $sum: 1 }
+        }
+      }
+    ]);
+
+    if (buckets.length > 0) {
+      await ClickRollup.insertMany(buckets.map(bucket => ({
+        urlCode,
+        userId,
+        granularity,
+        bucket: bucket._id,
+        clicks: bucket.clicks
+      })));
+    }
+  }
+};
+
+// Insert clicks, ignoring the ones a previous run already copied
+const insertClicks = async (clicks) => {
+  try {
+    await Click.insertMany(clicks, { ordered: false });
+  } catch (error) {
+    const writeErrors = error.writeErrors || [error];
+    if (!writeErrors.every(writeError => writeError.code === 11000)) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Run the migration
+ * @returns {Object} { urls, clicks } - Number of links and clicks migrated
+ */
+const migrateEmbeddedAnalytics = async () => {
+  // The Url schema no longer knows `analytics`, read the raw documents
+  const cursor = Url.collection.find(
+    { 'analytics.0': { $exists: true } },
+    { projection: { urlCode: 1, userId: 1, analytics: 1 } }
+  );
+
+  const migrated = { urls: 0, clicks: 0 };
+
+  for await (const doc of cursor) {
+    const clicks = doc.analytics.map(click => {
+      const client = parseUserAgent(click.userAgent);
+      return {
+        _id: click._id,
+        urlCode: doc.urlCode,
+        userId: doc.userId,
+        timestamp: click.timestamp,
+        ipAddress: click.ipAddress,
+        userAgent: click.userAgent,
+        referer: click.referer,
+        browser: client.browser,
+        browserVersion: client.browserVersion,
+        os: client.os,
+        osVersion: client.osVersion,
+        device: client.device,
+        isBot: client.isBot,
+        visitorId: visitorId(click.ipAddress, click.userAgent, click.timestamp),
+        unlocked: click.unlocked,
+        matchedRule: click.matchedRule,
+        variant: click.variant
+      };
+    });
+
+    await insertClicks(clicks);
+    await rebuildRollups(doc.urlCode, doc.userId);
+
+    const lastClickedAt = clicks.reduce(
+      (latest, click) => (click.timestamp > latest ? click.timestamp : latest),
+      clicks[0].timestamp
+    );
+    // Legacy counters included bot hits, split them the way trackClick does
+    const botClicks = await Click.countDocuments({ urlCode: doc.urlCode, isBot: true });
+    const humanClicks = await Click.countDocuments({ urlCode: doc.urlCode, isBot: { $ne: true } });
+    await Url.collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: { clicks: humanClicks, botClicks },
+        $max: { lastClickedAt },
+        $unset: { analytics: '' }
+      }
+    );
+
+    migrated.urls += 1;
+    migrated.clicks += clicks.length;
+  }
+
+  return migrated;
+};
+
+module.exports = migrateEmbeddedAnalytics;
+
+// Only run if this file is being run directly
+if (require.main === module) {
+  mongoose.connect(config.mongoUri)
+    .then(migrateEmbeddedAnalytics)
+    .then(({ urls, clicks }) => {
+      console.log(`Migrated ${clicks} clicks from ${urls} URLs`);
+      return mongoose.disconnect();
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,42 @@
+/**
+ * Archived URL Schema Definition
+ * Expired links moved out of the Url collection after the archive grace period
+ * Features:
+ * - Keeps the original _id and a snapshot of the link for record keeping
+ * - Codes of archived links are reserved, visitors get 410 or the link's fallback destination
+ * - Clicks and rollups stay where they are, keyed by the code
+ */
+
+const mongoose = require('mongoose');
+
+const archivedUrlSchema = new mongoose.Schema({
+  urlCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  longUrl: {
+    type: String,
+    required: true
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The Url document as it was, without password hash and QR code
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { minimize: false });
+
+module.exports = mongoose.model('ArchivedUrl', archivedUrlSchema);
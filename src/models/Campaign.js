@@ -0,0 +1,38 @@
+/**
+ * Campaign Schema Definition
+ * Folders users group their links in
+ * Features:
+ * - Owned by a single user
+ * - Names unique per user
+ * - Links reference their campaign through Url.campaignId
+ */
+
+const mongoose = require('mongoose');
+
+const campaignSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+campaignSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,76 @@
+/**
+ * Click Schema Definition
+ * One document per tracked redirect, kept out of the Url document
+ * so popular links do not grow toward the 16MB document limit
+ * Features:
+ * - Request metadata (IP, user agent, referrer)
+ * - Parsed browser, OS and device class for aggregation
+ * - Bot flag, bot hits are kept but excluded from clicks by default
+ * - Daily rotated visitor fingerprint for unique visitor counts
+ * - Targeting, A/B variant and unlock details
+ * - Channel the visit came through (QR scan, direct or referral)
+ * - Pending flag of buffered clicks stored but not yet counted
+ * - Indexes for per-link and per-user time range queries
+ */
+
+const mongoose = require('mongoose');
+
+const clickSchema = new mongoose.Schema({
+  urlCode: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  ipAddress: String,
+  userAgent: String,
+  referer: String,
+  browser: String,
+  browserVersion: String,
+  os: String,
+  osVersion: String,
+  // desktop, mobile, tablet or bot
+  device: String,
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+  // ISO country code from the configured CDN header, when known
+  country: String,
+  // Salted hash of IP + user agent + day, see utils/visitor
+  visitorId: String,
+  // Set when the click went through the password form
+  unlocked: Boolean,
+  // Name of the targeting rule that picked the destination, null for longUrl
+  matchedRule: String,
+  // Name of the A/B variant served
+  variant: String,
+  // qr for scans of the link's QR codes, otherwise referral when a referrer was sent, else direct
+  channel: {
+    type: String,
+    enum: ['qr', 'direct', 'referral']
+  },
+  // Name of the QR variant scanned, null for the default QR code
+  qrVariant: String,
+  // Set while a buffered click is stored but not yet added to the counters, see jobs/clickFlush
+  pending: Boolean,
+  // When the pending click was stored or last claimed, recovery only picks up ones older than a flush takes
+  pendingSince: Date,
+  // Batch counting the pending click, see urlService.countClaim
+  claimId: mongoose.Schema.Types.ObjectId,
+  // Set once the pending click was added to its link's counters
+  linksCounted: Boolean
+});
+
+clickSchema.index({ urlCode: 1, timestamp: 1 });
+clickSchema.index({ userId: 1, timestamp: 1 });
+clickSchema.index({ pendingSince: 1 }, { partialFilterExpression: { pending: true } });
+clickSchema.index({ claimId: 1 }, { partialFilterExpression: { pending: true } });
+
+module.exports = mongoose.model('Click', clickSchema);
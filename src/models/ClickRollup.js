@@ -0,0 +1,52 @@
+/**
+ * Click Rollup Schema Definition
+ * Pre-aggregated click counts per link and time bucket
+ * Features:
+ * - Hourly and daily buckets (UTC)
+ * - Upserted with $inc on every click
+ * - Unique per link, granularity and bucket start
+ */
+
+const mongoose = require('mongoose');
+
+const clickRollupSchema = new mongoose.Schema({
+  urlCode: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  granularity: {
+    type: String,
+    enum: ['hour', 'day'],
+    required: true
+  },
+  // Start of the bucket in UTC
+  bucket: {
+    type: Date,
+    required: true
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  }
+});
+
+clickRollupSchema.index({ urlCode: 1, granularity: 1, bucket: 1 }, { unique: true });
+// Account analytics across all of a user's links
+clickRollupSchema.index({ userId: 1, granularity: 1, bucket: 1 });
+
+/**
+ * Start of the UTC hour and day a date falls in
+ */
+clickRollupSchema.statics.bucketsFor = function(date) {
+  const hour = new Date(date);
+  hour.setUTCMinutes(0, 0, 0);
+  const day = new Date(hour);
+  day.setUTCHours(0);
+  return { hour, day };
+};
+
+module.exports = mongoose.model('ClickRollup', clickRollupSchema);
@@ -0,0 +1,44 @@
+/**
+ * Domain Schema Definition
+ * Custom domains users serve their short links on
+ * Features:
+ * - Claimed by any number of users until one verifies it, then owned by that user only
+ * - Ownership proven through a DNS TXT record holding the verification token
+ * - Links reference their domain by hostname through Url.domain
+ */
+
+const mongoose = require('mongoose');
+
+const domainSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Lowercase, without a trailing dot
+  hostname: {
+    type: String,
+    required: true
+  },
+  verificationToken: {
+    type: String,
+    required: true
+  },
+  // Null until the TXT record has been found
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+domainSchema.index({ userId: 1, createdAt: 1 });
+domainSchema.index({ userId: 1, hostname: 1 }, { unique: true });
+// Unverified claims don't block the real owner
+domainSchema.index({ hostname: 1 }, { unique: true, partialFilterExpression: { verifiedAt: { $type: 'date' } } });
+
+module.exports = mongoose.model('Domain', domainSchema);
@@ -0,0 +1,58 @@
+/**
+ * Import Job Schema Definition
+ * Progress of an asynchronous CSV bulk import
+ * Features:
+ * - Owned by the uploading user
+ * - Row counters updated as batches complete
+ * - Heartbeat to tell running jobs from ones a restart interrupted
+ * - Per-row outcomes live in the ImportResult collection
+ */
+
+const mongoose = require('mongoose');
+
+const importJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Why the whole job stopped, row errors are kept per row
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  // Bumped with every batch, see jobs/importWatchdog
+  heartbeatAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+importJobSchema.index({ userId: 1, createdAt: -1 });
+importJobSchema.index({ status: 1, heartbeatAt: 1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
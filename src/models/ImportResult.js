@@ -0,0 +1,34 @@
+/**
+ * Import Result Schema Definition
+ * Outcome of a single CSV row of an import job
+ * Features:
+ * - Keyed by job and row number (1 is the first row after the header)
+ * - Created link or the reason the row was rejected
+ */
+
+const mongoose = require('mongoose');
+
+const importResultSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+  row: {
+    type: Number,
+    required: true
+  },
+  longUrl: String,
+  customAlias: String,
+  success: {
+    type: Boolean,
+    required: true
+  },
+  urlCode: String,
+  shortUrl: String,
+  error: String
+});
+
+importResultSchema.index({ jobId: 1, row: 1 });
+
+module.exports = mongoose.model('ImportResult', importResultSchema);
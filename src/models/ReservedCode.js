@@ -0,0 +1,33 @@
+/**
+ * Reserved Code Schema Definition
+ * Tombstones for short codes that were once in use
+ * Features:
+ * - Written when a deleted link is purged, an expired link is archived or a link changes its alias
+ * - Never removed, so printed links and QR codes can't be reissued to someone else
+ */
+
+const mongoose = require('mongoose');
+
+const reservedCodeSchema = new mongoose.Schema({
+  urlCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Last owner of the code
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    enum: ['purged', 'archived', 'renamed'],
+    required: true
+  },
+  reservedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ReservedCode', reservedCodeSchema);
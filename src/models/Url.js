@@ -1,15 +1,26 @@
 /**
  * URL Schema Definition
- * Defines the structure for storing shortened URLs with analytics
+ * Defines the structure for storing shortened URLs
  * Features:
- * - URL tracking with analytics
- * - QR code generation
- * - Expiration support
+ * - Click counters (individual clicks are stored as Click documents)
+ * - Expiration support (date or click limit) with a fallback destination
+ * - Scheduled activation
  * - Click tracking
  * - User association
+ * - Destination history with rollback
+ * - Optional password protection
+ * - Device/OS/browser redirect targeting
+ * - Weighted A/B destination rotation
+ * - UTM tagging and query-string passthrough
+ * - Tags and campaign folders
+ * - Soft delete (trash) with restore
+ * - Expiry timestamp used by the archival sweep
+ * - Optional custom domain
+ * - Title and preview page setting for visitors
  */
 
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 
 const urlSchema = new mongoose.Schema({
   userId: {
@@ -30,21 +41,82 @@ const urlSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
-  qrCode: {
+  // Verified custom domain the link is served on, null for BASE_URL
+  // urlCode is then `<domain>:<code>`, see utils/domains
+  domain: {
     type: String,
-    required: true,
+    default: null
+  },
+  // Stored PNG data URL of links created before QR codes were rendered on demand, no longer written
+  qrCode: {
+    type: String
   },
   clicks: {
     type: Number,
     required: true,
     default: 0,
   },
-  analytics: [{
-    timestamp: Date,
-    ipAddress: String,
-    userAgent: String,
-    referer: String
+  // Crawler and link-preview hits, not included in clicks
+  botClicks: {
+    type: Number,
+    default: 0
+  },
+  // Individual clicks live in the Click collection
+  lastClickedAt: {
+    type: Date,
+    default: null
+  },
+  // Ordered targeting rules, the first match wins and longUrl is the fallback
+  targeting: [{
+    _id: false,
+    name: String,
+    device: String,
+    os: String,
+    browser: String,
+    destination: {
+      type: String,
+      required: true
+    }
+  }],
+  // Weighted destinations, one is picked per click when no targeting rule matched
+  variants: [{
+    _id: false,
+    name: String,
+    destination: {
+      type: String,
+      required: true
+    },
+    weight: {
+      type: Number,
+      min: 1
+    }
   }],
+  // Remember the picked variant per visitor in a cookie
+  stickyVariants: {
+    type: Boolean,
+    default: false
+  },
+  // Merged into the destination as utm_* parameters at redirect time
+  utm: {
+    source: String,
+    medium: String,
+    campaign: String,
+    term: String,
+    content: String
+  },
+  // Append the query string of /:code?x=1 to the destination
+  forwardQuery: {
+    type: Boolean,
+    default: false
+  },
+  // Free-form labels, lowercased
+  tags: [String],
+  // Campaign folder the link is filed in
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -53,18 +125,144 @@ const urlSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Where visitors go once the link has expired, falls back to the owner's default
+  fallbackUrl: {
+    type: String,
+    default: null
+  },
+  // Shown to visitors on the preview page
+  title: {
+    type: String,
+    default: null
+  },
+  // true always shows the preview page instead of redirecting, false never, null follows the owner's setting
+  preview: {
+    type: Boolean,
+    default: null
+  },
+  // Redirects start at this date, null means live right away
+  activatesAt: {
+    type: Date,
+    default: null
+  },
+  // The link expires after this many (human) clicks
+  maxClicks: {
+    type: Number,
+    default: null,
+    min: 1
+  },
   isExpired: {
     type: Boolean,
     default: false
-  }
+  },
+  // When the link was found expired, the archive grace period counts from here
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+  password: {
+    type: String,
+    // Don't return password hash in queries by default
+    select: false
+  },
+  isProtected: {
+    type: Boolean,
+    default: false
+  },
+  // Every view of the unlock form, including the ones later unlocked
+  lockedVisits: {
+    type: Number,
+    default: 0
+  },
+  // Incremented on every destination change
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Set while the link is in the trash, null for live links
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Previous destinations, oldest first
+  history: [{
+    version: Number,
+    longUrl: String,
+    changedAt: Date
+  }]
 });
 
+// Listing a user's links by campaign
+urlSchema.index({ userId: 1, 'utm.campaign': 1 });
+
+// Listing a user's links by tag or campaign folder
+urlSchema.index({ userId: 1, tags: 1 });
+urlSchema.index({ userId: 1, campaignId: 1 });
+
+// Trash listing and the purge job
+urlSchema.index({ userId: 1, deletedAt: -1 });
+urlSchema.index({ deletedAt: 1 });
+
+// Paginated listing, one index per sort order
+urlSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+urlSchema.index({ userId: 1, clicks: -1, _id: -1 });
+urlSchema.index({ userId: 1, lastClickedAt: -1, _id: -1 });
+urlSchema.index({ userId: 1, expiresAt: 1 });
+// Expiry sweep and archival
+urlSchema.index({ isExpired: 1, expiresAt: 1 });
+urlSchema.index({ isExpired: 1, expiredAt: 1 });
+
+// Search across destinations and codes, URLs are not natural language
+urlSchema.index(
+  { longUrl: 'text', urlCode: 'text' },
+  { default_language: 'none', name: 'url_search' }
+);
+
 // Adding middleware to check expiration
 urlSchema.pre('save', function(next) {
   if (this.expiresAt && new Date() > this.expiresAt) {
     this.isExpired = true;
   }
+  if (this.maxClicks && this.clicks >= this.maxClicks) {
+    this.isExpired = true;
+  }
+  if (!this.isExpired) {
+    this.expiredAt = null;
+  } else if (!this.expiredAt) {
+    this.expiredAt = new Date();
+  }
   next();
 });
 
+/**
+ * Hash the link password when it is set or changed
+ * Mirrors the User password handling
+ */
+urlSchema.pre('save', async function(next) {
+  if (this.isModified('password')) {
+    this.isProtected = Boolean(this.password);
+    if (this.password) {
+      try {
+        const salt = await bcrypt.genSalt(10);
+        this.password = await bcrypt.hash(this.password, salt);
+      } catch (error) {
+        return next(error);
+      }
+    }
+  }
+  next();
+});
+
+/**
+ * Compare a submitted password against the link password
+ * Requires the document to be loaded with +password
+ */
+urlSchema.methods.comparePassword = async function(candidatePassword) {
+  try {
+    return await bcrypt.compare(candidatePassword, this.password);
+  } catch (error) {
+    throw new Error('Password comparison failed');
+  }
+};
+
 module.exports = mongoose.model('Url', urlSchema); 
\ No newline at end of file
@@ -6,6 +6,8 @@
  * - Password hashing
  * - API key management
  * - Timestamp tracking
+ * - Default fallback for expired links
+ * - Roles (admin access to operational endpoints)
  */
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
@@ -43,6 +45,22 @@ const userSchema = new mongoose.Schema({
     type: Date,
     // Track user activity
     default: null
+  },
+  // Admins can see background job status, there is no API to grant the role
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Where expired links without their own fallbackUrl send visitors
+  defaultFallbackUrl: {
+    type: String,
+    default: null
+  },
+  // Show the preview page before redirecting on links that don't set preview themselves
+  alwaysPreview: {
+    type: Boolean,
+    default: false
   }
 });
 
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { rateLimiter } = require('../middleware/rateLimiter');
+
+// rate limiting to all routes
+router.use(rateLimiter);
+
+// Admins only
+router.use(auth, requireAdmin);
+
+router.get('/jobs/expiry-sweep', adminController.getExpirySweep);
+router.post('/jobs/expiry-sweep/run', adminController.runExpirySweep);
+router.get('/cache', adminController.getCacheStats);
+router.get('/jobs/click-flush', adminController.getClickFlush);
+
+module.exports = router;
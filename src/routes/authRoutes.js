@@ -10,5 +10,7 @@ router.post('/login', authLimiter, authController.login);
 
 // Protected routes
 router.post('/refresh-api-key', auth, authController.refreshApiKey);
+router.get('/settings', auth, authController.getSettings);
+router.patch('/settings', auth, authController.updateSettings);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const campaignController = require('../controllers/campaignController');
+const auth = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rateLimiter');
+
+// rate limiting to all routes
+router.use(rateLimiter);
+
+// All campaign routes are protected
+router.use(auth);
+
+router.get('/', campaignController.getCampaigns);
+router.post('/', campaignController.createCampaign);
+router.get('/:id', campaignController.getCampaign);
+router.patch('/:id', campaignController.updateCampaign);
+router.delete('/:id', campaignController.deleteCampaign);
+router.get('/:id/stats', campaignController.getCampaignStats);
+
+module.exports = router;
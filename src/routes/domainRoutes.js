@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const domainController = require('../controllers/domainController');
+const auth = require('../middleware/auth');
+const { rateLimiter } = require('../middleware/rateLimiter');
+
+// rate limiting to all routes
+router.use(rateLimiter);
+
+// All domain routes are protected
+router.use(auth);
+
+router.get('/', domainController.getDomains);
+router.post('/', domainController.addDomain);
+router.post('/:hostname/verify', domainController.verifyDomain);
+router.delete('/:hostname', domainController.removeDomain);
+
+module.exports = router;
@@ -2,21 +2,42 @@ const express = require('express');
 const router = express.Router();
 const urlController = require('../controllers/urlController');
 const auth = require('../middleware/auth');
-const { rateLimiter } = require('../middleware/rateLimiter');
+const { rateLimiter, unlockLimiter, linkUnlockLimiter } = require('../middleware/rateLimiter');
 const urlValidator = require('../middleware/urlValidator');
+const linkHost = require('../middleware/linkHost');
 
 // rate limiting to all routes
 router.use(rateLimiter);
 
 // Protected routes
 router.get('/urls', auth, urlController.getAllUrls);
+router.get('/urls/analytics', auth, urlController.getAnalytics);
+router.get('/urls/trash', auth, urlController.getTrash);
 router.post('/urls', auth, urlValidator, urlController.shortenUrl);
 router.post('/urls/bulk', auth, urlValidator, urlController.createBulkUrls);
+// CSV uploads are parsed by the import job, not the JSON body parser
+router.post(
+  '/urls/bulk/import',
+  auth,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  urlController.importUrls
+);
+router.get('/urls/bulk/jobs/:id', auth, urlController.getImportJob);
+router.get('/urls/bulk/jobs/:id/results', auth, urlController.downloadImportResults);
+router.post('/urls/bulk/update', auth, urlController.bulkUpdateUrls);
+router.post('/urls/bulk/delete', auth, urlController.bulkDeleteUrls);
 router.get('/urls/:code/stats', auth, urlController.getUrlStats);
+router.get('/urls/:code/clicks/export', auth, urlController.exportClicks);
 router.get('/urls/:code/qr', auth, urlController.getQrCode);
+router.patch('/urls/:code', auth, urlController.updateUrl);
+router.get('/urls/:code/history', auth, urlController.getUrlHistory);
+router.post('/urls/:code/rollback', auth, urlController.rollbackUrl);
 router.delete('/urls/:code', auth, urlController.deleteUrl);
+router.post('/urls/:code/restore', auth, urlController.restoreUrl);
 
-// Public route for redirection
-router.get('/:code', urlController.redirect);
+// Public routes for previews, redirection and unlocking protected links
+router.get('/:code/preview', linkHost, urlController.preview);
+router.get('/:code', linkHost, urlController.redirect);
+router.post('/:code', linkHost, unlockLimiter, linkUnlockLimiter, urlController.unlock);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * Campaign Service
+ * Handles campaign folders that group a user's links
+ * Features:
+ * - Campaign CRUD scoped to the owner
+ * - Link counts per campaign
+ * - Aggregated statistics across the links of a campaign,
+ *   computed with the same click queries as URL statistics
+ */
+
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const urlService = require('./urlService');
+const { buildWindow, previousPeriod, compareWithPrevious } = require('../utils/timeBuckets');
+
+class CampaignService {
+  /**
+   * Validate campaign fields
+   * @param {Object} fields - { name, description }
+   * @param {boolean} partial - Allow a missing name (updates)
+   */
+  normalizeFields({ name, description }, partial = false) {
+    const fields = {};
+
+    if (name !== undefined || !partial) {
+      if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+        throw new Error('Campaign name must be a non-empty string of at most 100 characters');
+      }
+      fields.name = name.trim();
+    }
+
+    if (description !== undefined) {
+      if (description !== null && (typeof description !== 'string' || description.length > 500)) {
+        throw new Error('Campaign description must be a string of at most 500 characters');
+      }
+      fields.description = description === null ? undefined : description.trim();
+    }
+
+    return fields;
+  }
+
+  async createCampaign(userId, fields) {
+    const campaign = new Campaign({ userId, ...this.normalizeFields(fields) });
+
+    try {
+      await campaign.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Campaign name already in use');
+      }
+      throw error;
+    }
+    return campaign;
+  }
+
+  /**
+   * List a user's campaigns with the number of links in each
+   */
+  async getCampaigns(userId) {
+    const campaigns = await Campaign.find({ userId }).sort({ createdAt: -1 }).lean();
+
+    const counts = await Url.aggregate([
+      { $match: { campaignId: { $in: campaigns.map(campaign => campaign._id) }, deletedAt: null } },
+      { $group: { _id: '$campaignId', count: { $sum: 1 } } }
+    ]);
+    const byCampaign = Object.fromEntries(counts.map(row => [String(row._id), row.count]));
+
+    return campaigns.map(campaign => ({
+      ...campaign,
+      links: byCampaign[String(campaign._id)] || 0
+    }));
+  }
+
+  /**
+   * Load a campaign and verify it belongs to the given user
+   * Throws 'No such campaign' or 'Not authorized'
+   */
+  async getOwnedCampaign(campaignId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(campaignId)) {
+      throw new Error('No such campaign');
+    }
+
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign) {
+      throw new Error('No such campaign');
+    }
+    if (campaign.userId.toString() !== userId.toString()) {
+      throw new Error('Not authorized');
+    }
+
+    return campaign;
+  }
+
+  async updateCampaign(campaignId, userId, fields) {
+    const campaign = await this.getOwnedCampaign(campaignId, userId);
+    campaign.set(this.normalizeFields(fields, true));
+
+    try {
+      await campaign.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Campaign name already in use');
+      }
+      throw error;
+    }
+    return campaign;
+  }
+
+  /**
+   * Delete a campaign, its links stay and are taken out of the folder
+   */
+  async deleteCampaign(campaignId, userId) {
+    const campaign = await this.getOwnedCampaign(campaignId, userId);
+
+    await campaign.deleteOne();
+    await Url.updateMany({ campaignId: campaign._id }, { campaignId: null });
+    return campaign;
+  }
+
+  /**
+   * Statistics across the links of a campaign over a time window
+   * @param {Object} range - Optional { from, to, granularity, tz, includeBots }, defaults to
+   * everything since the oldest link of the campaign was created
+   */
+  async getCampaignStats(campaignId, userId, range = {}) {
+    const campaign = await this.getOwnedCampaign(campaignId, userId);
+
+    const urls = await Url.find({ campaignId: campaign._id, deletedAt: null })
+      .select('urlCode shortUrl longUrl clicks botClicks createdAt')
+      .lean();
+    const codes = urls.map(url => url.urlCode);
+
+    // Links may be filed after they collected clicks, start at the oldest one
+    const since = urls.reduce(
+      (oldest, url) => (url.createdAt < oldest ? url.createdAt : oldest),
+      campaign.createdAt
+    );
+
+    const window = buildWindow(range, since);
+    const botFilter = window.includeBots ? {} : { isBot: { $ne: true } };
+    const filter = { urlCode: { $in: codes } };
+
+    const breakdowns = await urlService.aggregateClickStats({
+      ...filter,
+      timestamp: { $gte: window.from, $lt: window.to },
+      ...botFilter
+    });
+    const clicksByDate = await urlService.countClicksByBucket(filter, window);
+    const visitors = await urlService.countUniqueVisitors(filter, window);
+    const periodClicks = Object.values(clicksByDate).reduce((sum, count) => sum + count, 0);
+
+    const linkRows = await Click.aggregate([
+      { $match: { ...filter, timestamp: { $gte: window.from, $lt: window.to }, ...botFilter } },
+      { $group: { _id: '$urlCode', count: { $sum: 1 } } }
+    ]);
+    const linkClicks = Object.fromEntries(linkRows.map(row => [row._id, row.count]));
+
+    const previous = previousPeriod(window);
+    const previousClicks = await Click.countDocuments({
+      ...filter,
+      timestamp: { $gte: previous.from, $lt: previous.to },
+      ...botFilter
+    });
+
+    return {
+      campaign: {
+        _id: campaign._id,
+        name: campaign.name,
+        description: campaign.description
+      },
+      totalClicks: urls.reduce((sum, url) => sum + (url.clicks || 0), 0),
+      botClicks: urls.reduce((sum, url) => sum + (url.botClicks || 0), 0),
+      periodClicks,
+      uniqueVisitors: visitors.total,
+      range: window,
+      ...breakdowns,
+      clicksByDate,
+      uniqueVisitorsByDate: visitors.byBucket,
+      links: urls
+        .map(url => ({
+          urlCode: url.urlCode,
+          shortUrl: url.shortUrl,
+          longUrl: url.longUrl,
+          periodClicks: linkClicks[url.urlCode] || 0
+        }))
+        .sort((a, b) => b.periodClicks - a.periodClicks),
+      comparison: compareWithPrevious(periodClicks, previous, previousClicks)
+    };
+  }
+}
+
+module.exports = new CampaignService();
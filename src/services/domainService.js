@@ -0,0 +1,188 @@
+/**
+ * Domain Service
+ * Handles the custom domains users serve their links on
+ * Features:
+ * - Registration with a per-domain verification token, open to every user until one verifies
+ * - Ownership check through a DNS TXT record, against a configurable resolver
+ * - Domain CRUD scoped to the owner
+ * - Host lookup for redirects, cached briefly per process
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const LRUCache = require('lru-cache');
+const Domain = require('../models/Domain');
+const Url = require('../models/Url');
+const config = require('../config/config');
+const { normalizeHostname } = require('../utils/domains');
+
+// Record checked at _urlshortener.<hostname>
+const RECORD_PREFIX = '_urlshortener';
+const TOKEN_PREFIX = 'urlshortener-verification=';
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA', 'ENODOMAIN', 'NXDOMAIN'];
+const HOST_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Resolver for verification lookups, DNS_SERVERS points it at e.g. a local stub server
+ */
+const createResolver = () => {
+  const resolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+  if (config.dnsServers) {
+    resolver.setServers(config.dnsServers);
+  }
+  return resolver;
+};
+
+const toJSON = (domain) => ({
+  hostname: domain.hostname,
+  verified: Boolean(domain.verifiedAt),
+  verifiedAt: domain.verifiedAt,
+  verification: {
+    type: 'TXT',
+    name: `${RECORD_PREFIX}.${domain.hostname}`,
+    value: `${TOKEN_PREFIX}${domain.verificationToken}`
+  },
+  createdAt: domain.createdAt
+});
+
+class DomainService {
+  constructor() {
+    this.resolver = createResolver();
+    // hostname -> hostname when verified, '' when not a custom domain
+    this.hosts = new LRUCache({ max: 1000, ttl: HOST_CACHE_TTL_MS });
+  }
+
+  /**
+   * Swap the DNS resolver, anything with resolveTxt(name) like dns.promises
+   */
+  useResolver(resolver) {
+    this.resolver = resolver;
+  }
+
+  /**
+   * Claim a domain, several users may until one of them verifies it
+   */
+  async addDomain(userId, hostname) {
+    const domain = new Domain({
+      userId,
+      hostname: normalizeHostname(hostname),
+      verificationToken: crypto.randomBytes(16).toString('hex')
+    });
+    if (await Domain.exists({ hostname: domain.hostname, verifiedAt: { $ne: null } })) {
+      throw new Error('Domain already registered');
+    }
+
+    try {
+      await domain.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new Error('Domain already registered');
+      }
+      throw error;
+    }
+    return toJSON(domain);
+  }
+
+  async getDomains(userId) {
+    const domains = await Domain.find({ userId }).sort({ createdAt: 1 });
+    return domains.map(toJSON);
+  }
+
+  /**
+   * Find the user's claim of a domain
+   */
+  async getOwnedDomain(hostname, userId) {
+    const host = String(hostname).toLowerCase();
+    const domain = await Domain.findOne({ hostname: host, userId });
+    if (!domain) {
+      throw new Error(await Domain.exists({ hostname: host }) ? 'Not authorized' : 'No such domain');
+    }
+    return domain;
+  }
+
+  /**
+   * Look up the verification TXT record and mark the domain verified when it matches
+   * The first user to verify owns the domain, the claims of other users are dropped
+   * Already verified domains are not checked again
+   */
+  async verifyDomain(hostname, userId) {
+    const domain = await this.getOwnedDomain(hostname, userId);
+    if (domain.verifiedAt) {
+      return toJSON(domain);
+    }
+
+    let records;
+    try {
+      records = await this.resolver.resolveTxt(`${RECORD_PREFIX}.${domain.hostname}`);
+    } catch (error) {
+      if (NOT_FOUND_CODES.includes(error.code)) {
+        records = [];
+      } else {
+        throw new Error('DNS lookup failed');
+      }
+    }
+
+    // Long TXT records come back split into chunks
+    const expected = `${TOKEN_PREFIX}${domain.verificationToken}`;
+    if (!records.some(chunks => chunks.join('').trim() === expected)) {
+      throw new Error('Verification record not found');
+    }
+
+    domain.verifiedAt = new Date();
+    try {
+      await domain.save();
+    } catch (error) {
+      // Verified by another user first
+      if (error.code === 11000) {
+        throw new Error('Domain already registered');
+      }
+      throw error;
+    }
+    await Domain.deleteMany({ hostname: domain.hostname, _id: { $ne: domain._id } });
+    this.hosts.delete(domain.hostname);
+    return toJSON(domain);
+  }
+
+  /**
+   * Remove a domain, only once no links (trash included) use it
+   */
+  async removeDomain(hostname, userId) {
+    const domain = await this.getOwnedDomain(hostname, userId);
+    if (await Url.exists({ domain: domain.hostname })) {
+      throw new Error('Domain is in use');
+    }
+
+    await Domain.deleteOne({ _id: domain._id });
+    this.hosts.delete(domain.hostname);
+  }
+
+  /**
+   * Hostname to create a link on
+   * @returns {string} The normalized hostname
+   */
+  async assertUsable(hostname, userId) {
+    const domain = await this.getOwnedDomain(hostname, userId);
+    if (!domain.verifiedAt) {
+      throw new Error('Domain is not verified');
+    }
+    return domain.hostname;
+  }
+
+  /**
+   * Custom domain a request came in on
+   * @param {string} hostname - Host header without the port
+   * @returns {string|null} The verified domain, null for the default domain and unknown hosts
+   */
+  async servedDomain(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    let served = this.hosts.get(host);
+    if (served === undefined) {
+      const domain = await Domain.exists({ hostname: host, verifiedAt: { $ne: null } });
+      served = domain ? host : '';
+      this.hosts.set(host, served);
+    }
+    return served || null;
+  }
+}
+
+module.exports = new DomainService();
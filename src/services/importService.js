@@ -0,0 +1,253 @@
+/**
+ * Import Service
+ * Runs CSV bulk imports in the background
+ * Features:
+ * - Header based column mapping (longUrl, customAlias, expiresAt, tags, campaignId, domain)
+ * - Row level validation, bad rows are reported without failing the job
+ * - Bounded concurrency for link creation
+ * - Batched result writes and progress updates
+ * - Streaming per-row results file
+ * - Jobs interrupted by a restart are failed instead of staying queued or running
+ */
+
+const { Transform } = require('stream');
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const ImportResult = require('../models/ImportResult');
+const urlService = require('./urlService');
+const { sanitizeLongUrl } = require('../middleware/urlValidator');
+const { parseCsv, csvLine } = require('../utils/csv');
+
+const COLUMNS = ['longUrl', 'customAlias', 'expiresAt', 'tags', 'campaignId', 'domain'];
+const MAX_ROWS = 50000;
+// Links created at the same time, keeps an import from hogging the database
+const CONCURRENCY = 4;
+// Rows per result insert and progress update
+const BATCH_SIZE = 200;
+const RESULT_COLUMNS = ['row', 'longUrl', 'customAlias', 'status', 'shortUrl', 'error'];
+
+class ImportService {
+  /**
+   * Parse an uploaded CSV and start importing it
+   * Throws when the file itself is unusable, row problems are reported per row
+   * @param {string} csvText - CSV with a header row
+   * @returns {Object} The queued ImportJob
+   */
+  async createImportJob(userId, csvText) {
+    if (typeof csvText !== 'string' || csvText.trim().length === 0) {
+      throw new Error('CSV file is empty');
+    }
+
+    const [header, ...lines] = parseCsv(csvText);
+    const positions = {};
+    header.forEach((name, index) => {
+      const column = COLUMNS.find(known => known.toLowerCase() === name.trim().toLowerCase());
+      if (column) positions[column] = index;
+    });
+
+    if (positions.longUrl === undefined) {
+      throw new Error('CSV must have a longUrl column');
+    }
+    if (lines.length === 0) {
+      throw new Error('CSV has no rows');
+    }
+    if (lines.length > MAX_ROWS) {
+      throw new Error(`CSV can have at most ${MAX_ROWS} rows`);
+    }
+
+    const rows = lines.map((line, index) => {
+      const row = { row: index + 1 };
+      for (const [column, position] of Object.entries(positions)) {
+        const value = (line[position] || '').trim();
+        if (value) row[column] = value;
+      }
+      return row;
+    });
+
+    const job = await ImportJob.create({ userId, totalRows: rows.length });
+
+    // Respond right away, the rows are imported after this request
+    setImmediate(() => {
+      this.runJob(job._id, userId, rows).catch(async (error) => {
+        await ImportJob.updateOne(
+          { _id: job._id },
+          { status: 'failed', error: error.message, finishedAt: new Date() }
+        ).catch(() => {});
+      });
+    });
+
+    return job;
+  }
+
+  /**
+   * Import all rows of a job
+   * Workers pull rows in order, results are flushed in batches
+   */
+  async runJob(jobId, userId, rows) {
+    await ImportJob.updateOne({ _id: jobId }, { status: 'running', startedAt: new Date(), heartbeatAt: new Date() });
+
+    // The first row using an alias gets it, later ones are rejected up front
+    const seenAliases = new Set();
+    const duplicates = new Set();
+    for (const row of rows) {
+      if (!row.customAlias) continue;
+      if (seenAliases.has(row.customAlias)) duplicates.add(row.row);
+      seenAliases.add(row.customAlias);
+    }
+
+    const pending = [];
+    const flush = async () => {
+      const batch = pending.splice(0);
+      if (batch.length === 0) return;
+
+      await ImportResult.insertMany(batch.map(result => ({ jobId, ...result })));
+      const succeeded = batch.filter(result => result.success).length;
+      await ImportJob.updateOne({ _id: jobId }, {
+        $inc: {
+          processedRows: batch.length,
+          succeeded,
+          failed: batch.length - succeeded
+        },
+        $set: { heartbeatAt: new Date() }
+      });
+    };
+
+    let next = 0;
+    const worker = async () => {
+      while (next < rows.length) {
+        const row = rows[next++];
+        pending.push(duplicates.has(row.row)
+          ? this.rejectRow(row, 'Duplicate custom alias in file')
+          : await this.importRow(row, userId));
+
+        if (pending.length >= BATCH_SIZE) {
+          await flush();
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    await flush();
+
+    await ImportJob.updateOne({ _id: jobId }, { status: 'completed', finishedAt: new Date() });
+  }
+
+  /**
+   * Fail jobs whose process went away, their rows only lived in its memory
+   * Rows imported before are kept, with their results
+   * @param {Date} before - Jobs without a heartbeat since then
+   * @returns {number} Number of jobs failed
+   */
+  async failStalledJobs(before) {
+    const { modifiedCount } = await ImportJob.updateMany(
+      { status: { $in: ['queued', 'running'] }, heartbeatAt: { $lt: before } },
+      { status: 'failed', error: 'Import was interrupted, rows without a result were not imported', finishedAt: new Date() }
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * Validate and create the link of a single row
+   * @returns {Object} Result fields of the row
+   */
+  async importRow(row, userId) {
+    const longUrl = sanitizeLongUrl(row.longUrl);
+    if (!longUrl) {
+      return this.rejectRow(row, 'Invalid URL format');
+    }
+
+    let expiresAt = null;
+    if (row.expiresAt) {
+      expiresAt = new Date(row.expiresAt);
+      if (isNaN(expiresAt.getTime())) {
+        return this.rejectRow(row, 'Invalid expiration date');
+      }
+    }
+
+    try {
+      const url = await urlService.createShortUrl(longUrl, row.customAlias, expiresAt, userId, {
+        // Several tags share one cell, separated by semicolons
+        tags: row.tags ? row.tags.split(';').filter(tag => tag.trim()) : undefined,
+        campaignId: row.campaignId,
+        domain: row.domain
+      });
+
+      return {
+        row: row.row,
+        longUrl: row.longUrl,
+        customAlias: row.customAlias,
+        success: true,
+        urlCode: url.urlCode,
+        shortUrl: url.shortUrl
+      };
+    } catch (error) {
+      return this.rejectRow(row, error.message);
+    }
+  }
+
+  rejectRow(row, error) {
+    return {
+      row: row.row,
+      longUrl: row.longUrl,
+      customAlias: row.customAlias,
+      success: false,
+      error
+    };
+  }
+
+  /**
+   * Load an import job and verify it belongs to the given user
+   * Throws 'No such job' or 'Not authorized'
+   */
+  async getJob(jobId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      throw new Error('No such job');
+    }
+
+    const job = await ImportJob.findById(jobId);
+    if (!job) {
+      throw new Error('No such job');
+    }
+    if (job.userId.toString() !== userId.toString()) {
+      throw new Error('Not authorized');
+    }
+
+    return job;
+  }
+
+  /**
+   * Cursor over the per-row results of an owned job, in row order
+   */
+  async getResultsCursor(jobId, userId) {
+    const job = await this.getJob(jobId, userId);
+    return ImportResult.find({ jobId: job._id }).sort({ row: 1 }).lean().cursor();
+  }
+
+  /**
+   * Transform from ImportResult documents to CSV lines
+   */
+  createResultsStream() {
+    let first = true;
+
+    return new Transform({
+      writableObjectMode: true,
+      transform(result, encoding, callback) {
+        const line = csvLine(RESULT_COLUMNS, {
+          ...result,
+          status: result.success ? 'created' : 'failed'
+        });
+        const header = first ? `${RESULT_COLUMNS.join(',')}\n` : '';
+        first = false;
+        callback(null, `${header}${line}`);
+      },
+      flush(callback) {
+        if (first) {
+          this.push(`${RESULT_COLUMNS.join(',')}\n`);
+        }
+        callback();
+      }
+    });
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,179 @@
+/**
+ * QR Code Service
+ * Renders QR codes for short URLs on demand
+ * Features:
+ * - PNG and SVG output with custom size, margin, colours and error correction
+ * - Optional centre logo (QR_LOGO_PATH, a PNG file) on a backdrop in the background colour
+ * - In-memory LRU cache of rendered images, bounded by total size
+ * - Legacy base64 PNG data URLs for the JSON responses
+ */
+
+const fs = require('fs').promises;
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+const LRUCache = require('lru-cache');
+const config = require('../config/config');
+const { FORMATS } = require('../utils/qrOptions');
+
+// Share of the code's width the logo backdrop may cover, safe with level H
+const LOGO_SCALE = 0.22;
+// Rendered images kept in memory, in bytes
+const CACHE_MAX_BYTES = 32 * 1024 * 1024;
+
+/**
+ * Alpha-blend one RGBA pixel of src over dst
+ */
+const blendPixel = (dst, dstIndex, src, srcIndex) => {
+  const alpha = src[srcIndex + 3] / 255;
+  for (let channel = 0; channel < 3; channel++) {
+    dst[dstIndex + channel] = Math.round(
+      src[srcIndex + channel] * alpha + dst[dstIndex + channel] * (1 - alpha)
+    );
+  }
+  dst[dstIndex + 3] = Math.max(dst[dstIndex + 3], src[srcIndex + 3]);
+};
+
+// '#rrggbbaa' to [r, g, b, a]
+const toRgba = (hex) => [1, 3, 5, 7].map(start => parseInt(hex.slice(start, start + 2), 16));
+
+class QrService {
+  constructor() {
+    this.cache = new LRUCache({
+      maxSize: CACHE_MAX_BYTES,
+      sizeCalculation: image => image.body.length
+    });
+    this.logo = null;
+  }
+
+  /**
+   * Render a QR code image
+   * @param {string} text - Content of the code, the short URL
+   * @param {Object} options - Parsed by parseQrQuery: { format, size, margin, fg, bg, ecl, logo }
+   * @returns {Object} { contentType, body } - body is a Buffer (PNG) or string (SVG)
+   */
+  async render(text, options) {
+    const key = JSON.stringify([text, options]);
+    const cached = this.cache.get(key);
+    if (cached) {
+      return cached;
+    }
+
+    const rendering = {
+      width: options.size,
+      margin: options.margin,
+      errorCorrectionLevel: options.ecl,
+      color: { dark: options.fg, light: options.bg }
+    };
+
+    let body;
+    if (options.format === 'svg') {
+      body = await QRCode.toString(text, { ...rendering, type: 'svg' });
+      if (options.logo) {
+        body = this.addSvgLogo(body, await this.loadLogo(), options.bg);
+      }
+    } else {
+      body = await QRCode.toBuffer(text, { ...rendering, type: 'png' });
+      if (options.logo) {
+        body = this.addPngLogo(body, await this.loadLogo(), options.bg);
+      }
+    }
+
+    const image = { contentType: FORMATS[options.format], body };
+    this.cache.set(key, image);
+    return image;
+  }
+
+  /**
+   * Default styled PNG as a base64 data URL, as links used to store it
+   */
+  async toDataUrl(text) {
+    const key = JSON.stringify([text, 'data-url']);
+    const cached = this.cache.get(key);
+    if (cached) {
+      return cached.body;
+    }
+
+    const body = await QRCode.toDataURL(text);
+    this.cache.set(key, { contentType: 'text/plain', body });
+    return body;
+  }
+
+  /**
+   * Read the configured logo once
+   * Throws 'No QR logo configured' when QR_LOGO_PATH is not set
+   */
+  async loadLogo() {
+    if (!config.qrLogoPath) {
+      throw new Error('No QR logo configured');
+    }
+    if (!this.logo) {
+      const file = await fs.readFile(config.qrLogoPath);
+      this.logo = { file, png: PNG.sync.read(file) };
+    }
+    return this.logo;
+  }
+
+  /**
+   * Place the logo in the centre of an SVG code
+   * Works in viewBox units, so it scales with the requested size
+   */
+  addSvgLogo(svg, logo, bg) {
+    const [, modules] = /viewBox="0 0 (\d+) \d+"/.exec(svg);
+    const round = value => Number(value.toFixed(2));
+    const box = round(Number(modules) * LOGO_SCALE);
+    const offset = round((Number(modules) - box) / 2);
+    const inset = round(box * 0.1);
+
+    const overlay = `<rect x="${offset}" y="${offset}" width="${box}" height="${box}" fill="${bg}"/>` +
+      `<image x="${round(offset + inset)}" y="${round(offset + inset)}" width="${round(box - 2 * inset)}" height="${round(box - 2 * inset)}" ` +
+      `preserveAspectRatio="xMidYMid meet" href="data:image/png;base64,${logo.file.toString('base64')}"/>`;
+
+    return svg.replace('</svg>', `${overlay}</svg>`);
+  }
+
+  /**
+   * Draw the logo in the centre of a PNG code
+   * Nearest-neighbour scaling keeps this dependency free beyond pngjs
+   */
+  addPngLogo(buffer, logo, bg) {
+    const image = PNG.sync.read(buffer);
+    const source = logo.png;
+    const box = Math.round(image.width * LOGO_SCALE);
+    const left = Math.floor((image.width - box) / 2);
+    const top = Math.floor((image.height - box) / 2);
+
+    // Backdrop in the background colour
+    const backdrop = toRgba(bg);
+    for (let y = top; y < top + box; y++) {
+      for (let x = left; x < left + box; x++) {
+        const index = (y * image.width + x) * 4;
+        backdrop.forEach((value, channel) => { image.data[index + channel] = value; });
+      }
+    }
+
+    // Logo inside it, keeping its aspect ratio
+    const inner = Math.round(box * 0.8);
+    const scale = Math.min(inner / source.width, inner / source.height);
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+    const logoLeft = left + Math.floor((box - width) / 2);
+    const logoTop = top + Math.floor((box - height) / 2);
+
+    for (let y = 0; y < height; y++) {
+      const sourceY = Math.min(source.height - 1, Math.floor(y / scale));
+      for (let x = 0; x < width; x++) {
+        const sourceX = Math.min(source.width - 1, Math.floor(x / scale));
+        blendPixel(
+          image.data,
+          ((logoTop + y) * image.width + logoLeft + x) * 4,
+          source.data,
+          (sourceY * source.width + sourceX) * 4
+        );
+      }
+    }
+
+    return PNG.sync.write(image);
+  }
+}
+
+module.exports = new QrService();
@@ -2,182 +2,1176 @@
  * URL Service
  * Handles all business logic for URL operations including:
  * - URL shortening with custom alias support
- * - QR code generation
- * - Analytics tracking
- * - Cache management
- * - Bulk operations
+ * - Analytics tracking (Click collection with hourly/daily rollups)
+ * - Statistics over time windows in the caller's time zone
+ * - Bot detection, bot hits are stored but not counted as clicks
+ * - Unique visitors from daily rotated, salted visitor fingerprints
+ * - Streaming raw click export
+ * - Batched click writes for buffered redirects, recovered after a crash (see jobs/clickFlush)
+ * - Account-wide analytics across all of a user's links
+ * - Link cache with invalidation on every change (see cache/linkCache)
+ * - Bulk operations (create, update, delete with dry-run)
+ * - Paginated, searchable and sortable link listing
  * - Access control
+ * - Link editing with destination history
+ * - Password protected links
+ * - Device/OS/browser redirect targeting
+ * - Weighted A/B destination rotation
+ * - UTM tagging and query-string passthrough
+ * - Tags and campaign folders
+ * - Soft delete with trash, restore, purge and reserved codes
+ * - Links on the users' custom domains, the same code once per domain
+ * - Scheduled activation and click limits
+ * - Fallback destinations for expired links
+ * - Expiry sweep with expired events and archival
+ * - Channel tracking (QR scans with variants, direct, referral)
  */
 
 const { nanoid } = require('nanoid');
-const QRCode = require('qrcode');
+const mongoose = require('mongoose');
 const Url = require('../models/Url');
+const User = require('../models/User');
+const Click = require('../models/Click');
+const ClickRollup = require('../models/ClickRollup');
+const Campaign = require('../models/Campaign');
+const ReservedCode = require('../models/ReservedCode');
+const ArchivedUrl = require('../models/ArchivedUrl');
+const linkEvents = require('../utils/linkEvents');
 const config = require('../config/config');
+const { sanitizeLongUrl } = require('../middleware/urlValidator');
+const { OS_NAMES, DEVICE_TYPES, parseUserAgent } = require('../utils/userAgent');
+const { visitorId } = require('../utils/visitor');
+const {
+  bucketKeyExpression,
+  listBucketKeys,
+  isHourAligned,
+  buildWindow,
+  previousPeriod,
+  compareWithPrevious
+} = require('../utils/timeBuckets');
+const { encodeCursor, afterCursor } = require('../utils/listQuery');
+const { QR_MARKER } = require('../utils/qrOptions');
+const { LinkCache, createStore } = require('../cache/linkCache');
+const domainService = require('./domainService');
+const { linkKey, isLinkCode, shortUrlFor } = require('../utils/domains');
 const fs = require('fs').promises;
 const path = require('path');
 
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_TAGS = 20;
+const MAX_TITLE_LENGTH = 200;
+const MAX_BULK_CODES = 1000;
+const MAX_BULK_MATCHES = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Trashed links removed per purge batch
+const PURGE_BATCH_SIZE = 500;
+// Links marked or archived per expiry sweep batch
+const SWEEP_BATCH_SIZE = 500;
+// Orphaned buffered clicks recounted per round
+const RECOVERY_BATCH_SIZE = 500;
+// Top-level paths of the API (see app.js and routes/urlRoutes), a link there would never be reached
+const RESERVED_ALIASES = ['auth', 'urls', 'campaigns', 'admin', 'domains'];
+
+// Turn [{ _id, count }] aggregation rows into { key: count }
+const toCounts = (rows) => Object.fromEntries(rows.map(row => [row._id, row.count]));
+
 class UrlService {
   constructor() {
-    this.cache = new Map();
+    this.cache = new LinkCache(createStore());
   }
 
-  async createShortUrl(longUrl, customAlias, expiresAt, userId) {
+  /**
+   * Create a short URL
+   * @param {Object} options - Optional link settings:
+   * { password, targeting, variants, stickyVariants, utm, forwardQuery, tags, campaignId,
+   * activatesAt, maxClicks, fallbackUrl, domain, title, preview }
+   */
+  async createShortUrl(longUrl, customAlias, expiresAt, userId, options = {}) {
     try {
-      const urlCode = customAlias || nanoid(8);
+      // Verified custom domain of the user, the default domain when unset
+      const domain = options.domain ? await domainService.assertUsable(options.domain, userId) : null;
+      const code = customAlias || nanoid(8);
+      const urlCode = linkKey(code, domain);
       
-      // Validate custom alias format
-      if (customAlias && !/^[a-zA-Z0-9-_]+$/.test(customAlias)) {
-        throw new Error('Custom alias can only contain letters, numbers, hyphens, and underscores');
+      if (customAlias) {
+        await this.assertAliasAvailable(customAlias, domain);
       }
 
-      // Check if custom alias is already taken
-      if (customAlias) {
-        const existing = await Url.findOne({ urlCode: customAlias });
-        if (existing) {
-          throw new Error('Custom alias already in use');
-        }
+      if (options.password !== undefined) {
+        this.assertValidPassword(options.password);
       }
 
-      const shortUrl = `${config.baseUrl}/${urlCode}`;
-      
-     
-      const qrCode = await QRCode.toDataURL(shortUrl);
-      
+      const targeting = this.normalizeTargeting(options.targeting);
+      const variants = this.normalizeVariants(options.variants);
+      const utm = this.normalizeUtm(options.utm);
+      const tags = this.normalizeTags(options.tags);
+      if (options.campaignId) {
+        await this.assertCampaignOwned(options.campaignId, userId);
+      }
+      const { activatesAt, maxClicks } = this.normalizeLimits(options, expiresAt);
+      const fallbackUrl = this.normalizeFallbackUrl(options.fallbackUrl);
+      const title = this.normalizeTitle(options.title);
+      const preview = this.normalizePreview(options.preview);
+
+      const shortUrl = shortUrlFor(code, domain);
+
+      // QR codes are rendered on demand by the QR service
       const url = new Url({
         urlCode,
+        domain,
         longUrl,
         shortUrl,
-        qrCode,
         expiresAt,
-        userId
+        userId,
+        password: options.password,
+        targeting,
+        variants,
+        stickyVariants: Boolean(options.stickyVariants),
+        utm,
+        forwardQuery: Boolean(options.forwardQuery),
+        tags,
+        campaignId: options.campaignId || null,
+        activatesAt,
+        maxClicks,
+        fallbackUrl,
+        title,
+        preview
       });
 
       await url.save();
-      this.cache.set(urlCode, url);
+      url.password = undefined;
+      // A visit before the code existed may have cached it as unknown
+      await this.cache.delete(urlCode);
       return url;
     } catch (error) {
       throw new Error(`Error creating short URL: ${error.message}`);
     }
   }
 
+  /**
+   * Ensure a custom alias is well formed and not already taken on its domain
+   * Throws with a client-facing message otherwise
+   * @param {string} domain - Custom domain of the link, null for the default one
+   */
+  async assertAliasAvailable(customAlias, domain = null) {
+    // Validate custom alias format
+    if (!isLinkCode(customAlias)) {
+      throw new Error('Custom alias can only contain letters, numbers, hyphens, and underscores');
+    }
+    // Express matches paths case-insensitively
+    if (RESERVED_ALIASES.includes(customAlias.toLowerCase())) {
+      throw new Error('Custom alias is reserved');
+    }
+
+    // Check if custom alias is already taken, links in the trash keep their code
+    const urlCode = linkKey(customAlias, domain);
+    const existing = await Url.findOne({ urlCode });
+    // Codes of purged, archived or renamed links are never handed out again
+    const reserved = await ReservedCode.exists({ urlCode });
+    if (existing || reserved) {
+      throw new Error('Custom alias already in use');
+    }
+  }
+
+  assertValidPassword(password) {
+    if (typeof password !== 'string' || password.length === 0) {
+      throw new Error('Password must be a non-empty string');
+    }
+  }
+
+  /**
+   * Validate targeting rules and sanitize their destinations
+   * Each rule needs a destination and at least one of device, os, browser
+   * @returns {Array} Normalized rules, empty when none were given
+   */
+  normalizeTargeting(rules) {
+    if (rules === undefined || rules === null) {
+      return [];
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error('Targeting rules must be an array');
+    }
+
+    return rules.map((rule, index) => {
+      const destination = sanitizeLongUrl(rule && rule.destination);
+      if (!destination) {
+        throw new Error(`Invalid destination in targeting rule ${index + 1}`);
+      }
+      if (!rule.device && !rule.os && !rule.browser) {
+        throw new Error(`Targeting rule ${index + 1} needs a device, os or browser`);
+      }
+      if (rule.device && !DEVICE_TYPES.includes(rule.device)) {
+        throw new Error(`Device must be one of: ${DEVICE_TYPES.join(', ')}`);
+      }
+      if (rule.os && !OS_NAMES.includes(rule.os)) {
+        throw new Error(`OS must be one of: ${OS_NAMES.join(', ')}`);
+      }
+
+      return {
+        name: rule.name || `rule-${index + 1}`,
+        device: rule.device,
+        os: rule.os,
+        browser: rule.browser,
+        destination
+      };
+    });
+  }
+
+  /**
+   * Validate weighted A/B destinations
+   * Needs at least two variants with unique names and positive integer weights
+   * @returns {Array} Normalized variants, empty when none were given
+   */
+  normalizeVariants(variants) {
+    if (variants === undefined || variants === null) {
+      return [];
+    }
+    if (!Array.isArray(variants) || variants.length === 1) {
+      throw new Error('Variants must be an array of at least two destinations');
+    }
+
+    const normalized = variants.map((variant, index) => {
+      const destination = sanitizeLongUrl(variant && variant.destination);
+      if (!destination) {
+        throw new Error(`Invalid destination in variant ${index + 1}`);
+      }
+      const weight = variant.weight === undefined ? 1 : Number(variant.weight);
+      if (!Number.isInteger(weight) || weight < 1) {
+        throw new Error('Variant weight must be a positive integer');
+      }
+
+      return {
+        name: variant.name || `variant-${index + 1}`,
+        destination,
+        weight
+      };
+    });
+
+    const names = new Set(normalized.map(variant => variant.name));
+    if (names.size !== normalized.length) {
+      throw new Error('Variant names must be unique');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate UTM fields
+   * Only source, medium, campaign, term and content are accepted
+   * @returns {Object|undefined} Trimmed fields, undefined when none were given
+   */
+  normalizeUtm(utm) {
+    if (utm === undefined || utm === null) {
+      return undefined;
+    }
+    if (typeof utm !== 'object' || Array.isArray(utm)) {
+      throw new Error('UTM must be an object');
+    }
+
+    const normalized = {};
+    for (const [field, value] of Object.entries(utm)) {
+      if (!UTM_FIELDS.includes(field)) {
+        throw new Error(`UTM fields must be one of: ${UTM_FIELDS.join(', ')}`);
+      }
+      if (typeof value !== 'string' || value.trim().length === 0 || value.length > 200) {
+        throw new Error(`UTM ${field} must be a non-empty string of at most 200 characters`);
+      }
+      normalized[field] = value.trim();
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : undefined;
+  }
+
+  /**
+   * Validate tags
+   * Trimmed, lowercased and de-duplicated so filters match regardless of spelling
+   * @returns {Array} Tags, empty when none were given
+   */
+  normalizeTags(tags) {
+    if (tags === undefined || tags === null) {
+      return [];
+    }
+    if (!Array.isArray(tags)) {
+      throw new Error('Tags must be an array');
+    }
+    if (tags.length > MAX_TAGS) {
+      throw new Error(`A link can have at most ${MAX_TAGS} tags`);
+    }
+
+    const normalized = tags.map(tag => {
+      if (typeof tag !== 'string' || tag.trim().length === 0 || tag.trim().length > 50) {
+        throw new Error('Tags must be non-empty strings of at most 50 characters');
+      }
+      return tag.trim().toLowerCase();
+    });
+
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * Validate scheduled activation and the click limit
+   * @param {Object} limits - { activatesAt (Date or ISO string), maxClicks }
+   * @param {Date} expiresAt - Expiry the activation has to come before
+   * @returns {Object} { activatesAt, maxClicks }, null when not set
+   */
+  normalizeLimits({ activatesAt, maxClicks }, expiresAt) {
+    let activation = null;
+    if (activatesAt !== undefined && activatesAt !== null) {
+      activation = new Date(activatesAt);
+      if (isNaN(activation.getTime())) {
+        throw new Error('Invalid activation date');
+      }
+      if (expiresAt && activation >= new Date(expiresAt)) {
+        throw new Error('Activation date must be before the expiration date');
+      }
+    }
+
+    if (maxClicks !== undefined && maxClicks !== null &&
+      (!Number.isInteger(maxClicks) || maxClicks < 1)) {
+      throw new Error('maxClicks must be a positive integer');
+    }
+
+    return { activatesAt: activation, maxClicks: maxClicks || null };
+  }
+
+  /**
+   * Validate a fallback destination, null clears it
+   * Follows the same rules as the main destination
+   */
+  normalizeFallbackUrl(fallbackUrl) {
+    if (fallbackUrl === undefined || fallbackUrl === null) {
+      return null;
+    }
+    const sanitized = sanitizeLongUrl(fallbackUrl);
+    if (!sanitized) {
+      throw new Error('Invalid fallback URL');
+    }
+    return sanitized;
+  }
+
+  /**
+   * Validate a link title, null clears it
+   */
+  normalizeTitle(title) {
+    if (title === undefined || title === null) {
+      return null;
+    }
+    if (typeof title !== 'string' || title.trim().length > MAX_TITLE_LENGTH) {
+      throw new Error(`Title must be a string of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    return title.trim() || null;
+  }
+
+  /**
+   * Validate the preview setting of a link
+   * null (or unset) follows the owner's alwaysPreview setting
+   */
+  normalizePreview(preview) {
+    if (preview === undefined || preview === null) {
+      return null;
+    }
+    if (typeof preview !== 'boolean') {
+      throw new Error('Preview must be true, false or null');
+    }
+    return preview;
+  }
+
+  /**
+   * Where visitors of an expired link should go instead
+   * The link's own fallbackUrl wins over the owner's default
+   * Archived links keep theirs, printed QR codes outlive the grace period
+   * @returns {string|null} null when neither is set or the link is gone
+   */
+  async getFallbackUrl(urlCode) {
+    let url = await Url.findOne({ urlCode, deletedAt: null })
+      .select('userId fallbackUrl')
+      .lean();
+    if (!url) {
+      const archived = await ArchivedUrl.findOne({ urlCode }).select('userId snapshot.fallbackUrl').lean();
+      url = archived && { userId: archived.userId, fallbackUrl: archived.snapshot.fallbackUrl };
+    }
+    if (!url) {
+      return null;
+    }
+    if (url.fallbackUrl) {
+      return url.fallbackUrl;
+    }
+
+    const owner = await User.findById(url.userId).select('defaultFallbackUrl').lean();
+    return (owner && owner.defaultFallbackUrl) || null;
+  }
+
+  /**
+   * Whether a link has reached its scheduled activation
+   */
+  isActive(url) {
+    return !url.activatesAt || url.activatesAt <= new Date();
+  }
+
+  /**
+   * Ensure a campaign exists and belongs to the user
+   */
+  async assertCampaignOwned(campaignId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(campaignId)) {
+      throw new Error('Campaign not found');
+    }
+
+    const campaign = await Campaign.findOne({ _id: campaignId, userId });
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+  }
+
+  /**
+   * Merge UTM fields and the forwarded query string into a destination
+   * Conflicting keys resolve as: link UTM fields > destination query > forwarded query,
+   * so visitors can never override parameters the link owner set
+   * The QR scan marker is never forwarded
+   * @param {string} queryString - Raw incoming query string, without the leading "?"
+   */
+  applyQueryParams(destination, url, queryString) {
+    const utm = url.utm || {};
+    const hasUtm = UTM_FIELDS.some(field => utm[field]);
+    if (!hasUtm && !(url.forwardQuery && queryString)) {
+      return destination;
+    }
+
+    const target = new URL(destination);
+
+    UTM_FIELDS.forEach(field => {
+      if (utm[field]) {
+        target.searchParams.set(`utm_${field}`, utm[field]);
+      }
+    });
+
+    if (url.forwardQuery && queryString) {
+      const incoming = new URLSearchParams(queryString);
+      const ownedKeys = new Set(target.searchParams.keys());
+      for (const [key, value] of incoming) {
+        if (key !== QR_MARKER && !ownedKeys.has(key)) {
+          target.searchParams.append(key, value);
+        }
+      }
+    }
+
+    return target.toString();
+  }
+
+  // Weighted random pick, e.g. weights 70/30 serve the first variant 70% of the time
+  pickVariant(variants) {
+    const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let remaining = Math.random() * total;
+
+    for (const variant of variants) {
+      remaining -= variant.weight;
+      if (remaining < 0) {
+        return variant;
+      }
+    }
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Pick the destination for a visitor
+   * Targeting rules are evaluated in order against the user agent first,
+   * then a weighted variant is picked (reusing a sticky one if still valid),
+   * and longUrl is the fallback
+   * UTM fields and the forwarded query string are merged into whichever destination wins
+   * @param {Object} reqData - { userAgent, stickyVariant, queryString }
+   * @returns {Object} { destination, matchedRule, variant }
+   */
+  resolveDestination(url, reqData) {
+    const resolved = this.pickDestination(url, reqData);
+    resolved.destination = this.applyQueryParams(resolved.destination, url, reqData.queryString);
+    return resolved;
+  }
+
+  pickDestination(url, reqData) {
+    const client = parseUserAgent(reqData.userAgent);
+    const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    const rule = (url.targeting || []).find(candidate =>
+      (!candidate.device || candidate.device === client.device) &&
+      (!candidate.os || candidate.os === client.os) &&
+      (!candidate.browser || sameText(candidate.browser, client.browser))
+    );
+
+    if (rule) {
+      return { destination: rule.destination, matchedRule: rule.name, variant: null };
+    }
+
+    if (url.variants && url.variants.length > 0) {
+      const variant = url.variants.find(candidate => candidate.name === reqData.stickyVariant)
+        || this.pickVariant(url.variants);
+      return { destination: variant.destination, matchedRule: null, variant: variant.name };
+    }
+
+    return { destination: url.longUrl, matchedRule: null, variant: null };
+  }
+
+  /**
+   * Look up a live link to redirect to
+   * Served from the link cache when possible, unknown codes are cached briefly too
+   * Flags the link when its expiry has passed since the last look, archived links
+   * count as expired
+   * preview is resolved against the owner's alwaysPreview setting
+   * @returns {Object} Plain snapshot of the fields redirects need
+   */
   async getUrl(urlCode) {
     try {
-      // Check cache first
-      if (this.cache.has(urlCode)) {
-        const cachedUrl = this.cache.get(urlCode);
-        if (!cachedUrl.isExpired && (!cachedUrl.expiresAt || new Date() < cachedUrl.expiresAt)) {
-          return cachedUrl;
-        }
-        this.cache.delete(urlCode);
+      const cached = await this.cache.get(urlCode);
+      if (cached && cached.missing) {
+        throw new Error('URL not found');
+      }
+      if (cached && !this.hasExpired(cached)) {
+        return cached;
       }
 
-      const url = await Url.findOne({ urlCode });
+      const url = await Url.findOne({ urlCode, deletedAt: null }).lean();
       if (!url) {
+        if (await ArchivedUrl.exists({ urlCode })) {
+          throw new Error('URL has expired');
+        }
+        await this.cache.setMissing(urlCode);
         throw new Error('URL not found');
       }
 
-      if (url.isExpired || (url.expiresAt && new Date() > url.expiresAt)) {
-        url.isExpired = true;
-        await url.save();
+      if (this.hasExpired(url)) {
+        await this.cache.delete(urlCode);
+        if (!url.isExpired) {
+          const now = new Date();
+          const { modifiedCount } = await Url.updateOne(
+            { _id: url._id, isExpired: false },
+            { isExpired: true, expiredAt: now }
+          );
+          // Only the request that flagged it announces it
+          if (modifiedCount > 0) {
+            this.emitExpired({ ...url, expiredAt: now }, now);
+          }
+        }
         throw new Error('URL has expired');
       }
 
-      // Update cache
-      this.cache.set(urlCode, url);
-      return url;
+      if (url.preview === null || url.preview === undefined) {
+        const owner = await User.findById(url.userId).select('alwaysPreview').lean();
+        url.preview = Boolean(owner && owner.alwaysPreview);
+      }
+
+      return this.cache.set(urlCode, url);
     } catch (error) {
       throw new Error(`Error retrieving URL: ${error.message}`);
     }
   }
 
+  /**
+   * Whether a link is past its expiry date or click limit, flagged or not
+   */
+  hasExpired(url) {
+    return Boolean(
+      url.isExpired ||
+      (url.expiresAt && new Date() > url.expiresAt) ||
+      (url.maxClicks && url.clicks >= url.maxClicks)
+    );
+  }
+
+  /**
+   * Record a click
+   * Increments the counter on the Url, stores the Click document
+   * and bumps the hourly and daily rollups
+   * Crawler and link-preview hits are stored flagged as bots and only
+   * counted in botClicks, rollups hold human clicks only
+   * Click limits are checked and applied in the same atomic update, so
+   * concurrent clicks can never go past maxClicks
+   * @param {Object} reqData - { ip, userAgent, referer, country, unlocked, matchedRule, variant,
+   * qr } where qr is the scan marker ({ variant }) of visits from a QR code
+   * @returns {Object|null} The updated URL, null when it is gone or its click limit is used up
+   */
   async trackClick(urlCode, reqData) {
     try {
-      const url = await Url.findOneAndUpdate(
-        { urlCode },
-        {
-          $inc: { clicks: 1 },
-          $push: {
-            analytics: {
-              timestamp: new Date(),
-              ipAddress: reqData.ip,
-              userAgent: reqData.userAgent,
-              referer: reqData.referer
+      const timestamp = new Date();
+      const client = parseUserAgent(reqData.userAgent);
+      const url = client.isBot
+        ? await Url.findOneAndUpdate(
+          { urlCode, deletedAt: null },
+          { $inc: { botClicks: 1 } },
+          { new: true }
+        )
+        : await Url.findOneAndUpdate(
+          {
+            urlCode,
+            deletedAt: null,
+            $or: [{ maxClicks: null }, { $expr: { $lt: ['$clicks', '$maxClicks'] } }]
+          },
+          [
+            { $set: { clicks: { $add: [{ $ifNull: ['$clicks', 0] }, 1] }, lastClickedAt: timestamp } },
+            // The click that uses up the limit expires the link
+            {
+              $set: {
+                isExpired: {
+                  $or: [
+                    '$isExpired',
+                    {
+                      $and: [
+                        { $gt: [{ $ifNull: ['$maxClicks', 0] }, 0] },
+                        { $gte: ['$clicks', '$maxClicks'] }
+                      ]
+                    }
+                  ]
+                }
+              }
+            },
+            {
+              $set: {
+                expiredAt: { $cond: ['$isExpired', { $ifNull: ['$expiredAt', timestamp] }, null] }
+              }
             }
-          }
-        },
-        { new: true }
-      );
+          ],
+          { new: true }
+        );
+
+      if (!url) {
+        return null;
+      }
 
-      if (url) {
-        // Update cache
-        this.cache.set(urlCode, url);
+      // This click used up the limit
+      if (!client.isBot && url.isExpired && url.maxClicks && url.clicks === url.maxClicks) {
+        this.emitExpired(url);
       }
 
+      await Click.create(this.buildClick(urlCode, url.userId, reqData, { timestamp, client }));
+
+      if (client.isBot) {
+        return url;
+      }
+
+      const buckets = ClickRollup.bucketsFor(timestamp);
+      await ClickRollup.bulkWrite(['hour', 'day'].map(granularity => ({
+        updateOne: {
+          filter: { urlCode, granularity, bucket: buckets[granularity] },
+          update: { $inc: { clicks: 1 }, $setOnInsert: { userId: url.userId } },
+          upsert: true
+        }
+      })));
+
+      // Cached entries don't follow the click count, the limit itself is enforced above
+      if (url.isExpired) {
+        await this.cache.delete(urlCode);
+      }
       return url;
     } catch (error) {
       throw new Error(`Error tracking click: ${error.message}`);
     }
   }
 
-  async getUrlStats(urlCode) {
+  /**
+   * Click document for a visit, not saved
+   * @param {Object} reqData - Same as trackClick
+   * @param {Object} options - { timestamp, client } when already known
+   */
+  buildClick(urlCode, userId, reqData, {
+    timestamp = new Date(),
+    client = parseUserAgent(reqData.userAgent)
+  } = {}) {
+    return {
+      // Set here so a retried insert of the same batch can't store a click twice
+      _id: new mongoose.Types.ObjectId(),
+      urlCode,
+      userId,
+      timestamp,
+      ipAddress: reqData.ip,
+      userAgent: reqData.userAgent,
+      referer: reqData.referer,
+      browser: client.browser,
+      browserVersion: client.browserVersion,
+      os: client.os,
+      osVersion: client.osVersion,
+      device: client.device,
+      isBot: client.isBot,
+      visitorId: visitorId(reqData.ip, reqData.userAgent, timestamp),
+      country: reqData.country,
+      unlocked: reqData.unlocked,
+      matchedRule: reqData.matchedRule,
+      variant: reqData.variant,
+      channel: reqData.qr ? 'qr' : reqData.referer ? 'referral' : 'direct',
+      qrVariant: reqData.qr ? reqData.qr.variant : null
+    };
+  }
+
+  /**
+   * Store a batch of buffered clicks (see jobs/clickFlush)
+   * The Click documents are inserted pending under a claim id of this batch, then
+   * counted and cleared (see countClaim). If counting fails or the process dies
+   * first, recoverClicks finishes the claim, so no stored click is lost.
+   * Only throws when the insert fails, the whole batch can then be retried.
+   * @param {Array} clicks - Documents from buildClick, links without a click limit only
+   */
+  async writeClicks(clicks) {
+    if (clicks.length === 0) return;
+
+    const claimId = new mongoose.Types.ObjectId();
+    const pendingSince = new Date();
+    let stored = clicks;
     try {
-      const url = await Url.findOne({ urlCode });
+      await Click.insertMany(clicks.map(click => ({ ...click, pending: true, pendingSince, claimId })), {
+        ordered: false
+      });
+    } catch (error) {
+      // Clicks a failed earlier attempt already stored, they stay with its claim
+      const writeErrors = error.writeErrors || [error];
+      if (!writeErrors.every(writeError => writeError.code === 11000)) {
+        throw error;
+      }
+      const duplicates = new Set(writeErrors.map(writeError => writeError.index));
+      stored = clicks.filter((click, index) => !duplicates.has(index));
+    }
+
+    try {
+      await this.countClaim(claimId, stored);
+    } catch (error) {
+      // Still pending under the claim, recoverClicks finishes it
+      console.error('Counting buffered clicks failed:', error);
+    }
+  }
+
+  /**
+   * Add the clicks of a claim to the counters of their links and to the rollups,
+   * then clear their pending flag
+   * Each step is recorded on the claim's clicks once written, so a claim finished
+   * after a failure only writes the steps still missing
+   * @param {Array} clicks - All clicks of the claim, linksCounted set on the ones already
+   * added to their link
+   */
+  async countClaim(claimId, clicks) {
+    if (clicks.length === 0) return;
+
+    const links = new Map();
+    const rollups = new Map();
+    clicks.forEach(click => {
+      if (!click.linksCounted) {
+        const link = links.get(click.urlCode) || { clicks: 0, botClicks: 0, lastClickedAt: null };
+        links.set(click.urlCode, link);
+        if (click.isBot) {
+          link.botClicks += 1;
+        } else {
+          link.clicks += 1;
+          if (!link.lastClickedAt || click.timestamp > link.lastClickedAt) {
+            link.lastClickedAt = click.timestamp;
+          }
+        }
+      }
+      if (click.isBot) return;
+
+      const buckets = ClickRollup.bucketsFor(click.timestamp);
+      ['hour', 'day'].forEach(granularity => {
+        const key = `${click.urlCode}|${granularity}|${buckets[granularity].getTime()}`;
+        const rollup = rollups.get(key) ||
+          { urlCode: click.urlCode, userId: click.userId, granularity, bucket: buckets[granularity], clicks: 0 };
+        rollup.clicks += 1;
+        rollups.set(key, rollup);
+      });
+    });
+
+    if (links.size > 0) {
+      await Url.bulkWrite([...links].map(([urlCode, link]) => ({
+        updateOne: {
+          filter: { urlCode },
+          update: {
+            $inc: { clicks: link.clicks, botClicks: link.botClicks },
+            ...(link.lastClickedAt ? { $max: { lastClickedAt: link.lastClickedAt } } : {})
+          }
+        }
+      })), { ordered: false });
+      await Click.updateMany({ claimId, pending: true }, { $set: { linksCounted: true } });
+    }
+
+    if (rollups.size > 0) {
+      await ClickRollup.bulkWrite([...rollups.values()].map(rollup => ({
+        updateOne: {
+          filter: { urlCode: rollup.urlCode, granularity: rollup.granularity, bucket: rollup.bucket },
+          update: { $inc: { clicks: rollup.clicks }, $setOnInsert: { userId: rollup.userId } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    await Click.updateMany(
+      { claimId, pending: true },
+      { $unset: { pending: 1, pendingSince: 1, claimId: 1, linksCounted: 1 } }
+    );
+  }
+
+  /**
+   * Finish the claims of clicks left pending by a flush that failed or died
+   * Stale clicks are taken over under a new claim id, with one update per round, and
+   * finished from the step they got to
+   * @param {Date} before - Only claims made before this, younger ones may still be in flight
+   * @returns {number} Number of pending clicks recovered
+   */
+  async recoverClicks(before) {
+    let recovered = 0;
+
+    for (;;) {
+      const stale = await Click.find({ pending: true, pendingSince: { $lt: before } })
+        .select('_id')
+        .limit(RECOVERY_BATCH_SIZE)
+        .lean();
+      if (stale.length === 0) break;
+
+      const claimId = new mongoose.Types.ObjectId();
+      await Click.updateMany(
+        { _id: { $in: stale.map(click => click._id) }, pending: true, pendingSince: { $lt: before } },
+        { $set: { claimId, pendingSince: new Date() } }
+      );
+      const clicks = await Click.find({ claimId, pending: true })
+        .select('urlCode userId timestamp isBot linksCounted')
+        .lean();
+
+      await this.countClaim(claimId, clicks);
+      recovered += clicks.length;
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Count a view of the unlock form of a protected link
+   */
+  async trackLockedVisit(urlCode) {
+    try {
+      await Url.updateOne({ urlCode, deletedAt: null }, { $inc: { lockedVisits: 1 } });
+    } catch (error) {
+      throw new Error(`Error tracking visit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a submitted password against a protected link
+   * @returns {boolean} True if the password matches
+   */
+  async verifyPassword(urlCode, password) {
+    const url = await Url.findOne({ urlCode, deletedAt: null }).select('+password');
+    if (!url || !url.isProtected || typeof password !== 'string') {
+      return false;
+    }
+    return url.comparePassword(password);
+  }
+
+  /**
+   * Statistics of a URL over a time window
+   * @param {Object} range - Optional { from, to, granularity, tz, includeBots }, defaults to
+   * all time (since creation) in daily UTC buckets without bot hits
+   */
+  async getUrlStats(urlCode, range = {}) {
+    try {
+      const url = await Url.findOne({ urlCode, deletedAt: null });
       if (!url) {
         throw new Error('URL not found');
       }
 
-      // Aggregate analytics data
+      // Clicks cannot predate the link, starting on its creation hour keeps rollups usable
+      const window = buildWindow(range, url.createdAt);
+      const botFilter = window.includeBots ? {} : { isBot: { $ne: true } };
+
+      const { firstClicked, ...breakdowns } = await this.aggregateClickStats({
+        urlCode,
+        timestamp: { $gte: window.from, $lt: window.to },
+        ...botFilter
+      });
+      const clicksByDate = await this.countClicksByBucket({ urlCode }, window);
+      const visitors = await this.countUniqueVisitors({ urlCode }, window);
+      const periodClicks = Object.values(clicksByDate).reduce((sum, count) => sum + count, 0);
+
+      // Same-length window right before the requested one
+      const previous = previousPeriod(window);
+      const previousClicks = await Click.countDocuments({
+        urlCode,
+        timestamp: { $gte: previous.from, $lt: previous.to },
+        ...botFilter
+      });
+
       const analytics = {
         totalClicks: url.clicks,
-        browserStats: {},
-        referrerStats: {},
-        clicksByDate: {},
-        lastClicked: null,
-        averageClicksPerDay: 0
+        botClicks: url.botClicks,
+        periodClicks,
+        uniqueVisitors: visitors.total,
+        range: window,
+        ...breakdowns,
+        clicksByDate,
+        uniqueVisitorsByDate: visitors.byBucket,
+        averageClicksPerDay: 0,
+        lockedVisits: url.lockedVisits,
+        comparison: compareWithPrevious(periodClicks, previous, previousClicks)
       };
 
-      if (url.analytics.length > 0) {
-        analytics.lastClicked = url.analytics[url.analytics.length - 1].timestamp;
-        
+      if (firstClicked) {
         // Calculate average clicks per day
-        const firstClick = url.analytics[0].timestamp;
         const daysSinceCreation = Math.max(1, Math.ceil(
-          (new Date() - firstClick) / (1000 * 60 * 60 * 24)
+          (new Date() - firstClicked) / (1000 * 60 * 60 * 24)
         ));
         analytics.averageClicksPerDay = (url.clicks / daysSinceCreation).toFixed(2);
       }
 
-      url.analytics.forEach(click => {
-        // Browser stats
-        const browser = this.getBrowserFromUserAgent(click.userAgent);
-        analytics.browserStats[browser] = (analytics.browserStats[browser] || 0) + 1;
+      return analytics;
+    } catch (error) {
+      throw new Error(`Error getting URL stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Breakdowns of the clicks matching a filter, computed in the database
+   * so stats never load individual clicks into memory
+   * @param {Object} match - Click filter, e.g. { urlCode }
+   * @returns {Object} { browserStats, osStats, deviceStats, referrerStats, targetingStats,
+   * variantStats, channelStats, qrVariantStats, unlockedVisits, firstClicked, lastClicked }
+   */
+  async aggregateClickStats(match) {
+    const countBy = (key) => [
+      { $group: { _id: key, count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ];
+
+    const [result] = await Click.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          browsers: countBy({ $ifNull: ['$browser', 'Other'] }),
+          operatingSystems: countBy({ $ifNull: ['$os', 'Other'] }),
+          devices: countBy({ $ifNull: ['$device', 'desktop'] }),
+          referrers: countBy({
+            $cond: [{ $eq: [{ $ifNull: ['$referer', ''] }, ''] }, 'Direct', '$referer']
+          }),
+          // Clicks served by longUrl count as fallback
+          rules: countBy({ $ifNull: ['$matchedRule', 'fallback'] }),
+          variants: [
+            { $match: { variant: { $ne: null } } },
+            ...countBy('$variant')
+          ],
+          // Clicks recorded before channels existed are split by referrer
+          channels: countBy({
+            $ifNull: [
+              '$channel',
+              { $cond: [{ $eq: [{ $ifNull: ['$referer', ''] }, ''] }, 'direct', 'referral'] }
+            ]
+          }),
+          qrVariants: [
+            { $match: { channel: 'qr' } },
+            ...countBy({ $ifNull: ['$qrVariant', 'default'] })
+          ],
+          unlocked: [
+            { $match: { unlocked: true } },
+            { $count: 'count' }
+          ],
+          range: [
+            { $group: { _id: null, first: { $min: '$timestamp' }, last: { $max: '$timestamp' } } }
+          ]
+        }
+      }
+    ]);
+
+    const range = result.range[0];
+    return {
+      browserStats: toCounts(result.browsers),
+      osStats: toCounts(result.operatingSystems),
+      deviceStats: toCounts(result.devices),
+      referrerStats: toCounts(result.referrers),
+      targetingStats: toCounts(result.rules),
+      variantStats: toCounts(result.variants),
+      channelStats: { qr: 0, direct: 0, referral: 0, ...toCounts(result.channels) },
+      qrVariantStats: toCounts(result.qrVariants),
+      unlockedVisits: result.unlocked.length > 0 ? result.unlocked[0].count : 0,
+      firstClicked: range ? range.first : null,
+      lastClicked: range ? range.last : null
+    };
+  }
+
+  /**
+   * Click counts per time bucket over a window, zero-filled and in order
+   * Answered from the hourly rollups when the window allows it,
+   * from the raw clicks otherwise
+   * @param {Object} filter - Applied to both rollups and clicks, e.g. { urlCode }
+   * @param {Object} window - { from, to, granularity, tz, includeBots }
+   * @returns {Object} { bucketKey: clicks }
+   */
+  async countClicksByBucket(filter, window) {
+    const { from, to, granularity, tz, includeBots } = window;
+    const botFilter = includeBots ? {} : { isBot: { $ne: true } };
+
+    // Rollups only hold human clicks
+    const rows = !includeBots && isHourAligned(window)
+      ? await ClickRollup.aggregate([
+        { $match: { ...filter, granularity: 'hour', bucket: { $gte: from, $lt: to } } },
+        { $group: { _id: bucketKeyExpression('$bucket', granularity, tz), count: { $sum: '$clicks' } } }
+      ])
+      : await Click.aggregate([
+        { $match: { ...filter, ...botFilter, timestamp: { $gte: from, $lt: to } } },
+        { $group: { _id: bucketKeyExpression('$timestamp', granularity, tz), count: { $sum: 1 } } }
+      ]);
+
+    const counts = toCounts(rows);
+    return Object.fromEntries(
+      listBucketKeys(from, to, granularity, tz).map(key => [key, counts[key] || 0])
+    );
+  }
+
+  /**
+   * Unique visitors over a window, in total and per time bucket
+   * Visitor ids rotate daily, so a visitor coming back on another day
+   * counts again in multi-day totals and week/month buckets
+   * @param {Object} filter - Click filter, e.g. { urlCode }
+   * @param {Object} window - { from, to, granularity, tz, includeBots }
+   * @returns {Object} { total, byBucket }
+   */
+  async countUniqueVisitors(filter, window) {
+    const { from, to, granularity, tz, includeBots } = window;
+    const botFilter = includeBots ? {} : { isBot: { $ne: true } };
+
+    const [result] = await Click.aggregate([
+      {
+        $match: {
+          ...filter,
+          ...botFilter,
+          visitorId: { $ne: null },
+          timestamp: { $gte: from, $lt: to }
+        }
+      },
+      {
+        $facet: {
+          total: [
+            { $group: { _id: '$visitorId' } },
+            { $count: 'count' }
+          ],
+          buckets: [
+            { $group: { _id: { bucket: bucketKeyExpression('$timestamp', granularity, tz), visitor: '$visitorId' } } },
+            { $group: { _id: '$_id.bucket', count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]);
+
+    const counts = toCounts(result.buckets);
+    return {
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      byBucket: Object.fromEntries(
+        listBucketKeys(from, to, granularity, tz).map(key => [key, counts[key] || 0])
+      )
+    };
+  }
+
+  /**
+   * Analytics across all links of a user over a time window
+   * @param {Object} range - Optional { from, to, granularity, tz, includeBots }, defaults to
+   * everything since the account was created in daily UTC buckets
+   */
+  async getAccountAnalytics(userId, range = {}) {
+    try {
+      // Aggregation pipelines do not cast, JWT user ids arrive as strings
+      const owner = new mongoose.Types.ObjectId(String(userId));
+
+      let since = new Date();
+      if (!range.from) {
+        const user = await User.findById(owner).select('createdAt');
+        since = user ? user.createdAt : since;
+      }
+
+      const window = buildWindow(range, since);
+      const botFilter = window.includeBots ? {} : { isBot: { $ne: true } };
+      const match = {
+        userId: owner,
+        timestamp: { $gte: window.from, $lt: window.to },
+        ...botFilter
+      };
 
-        // Referrer stats
-        const referrer = click.referer || 'Direct';
-        analytics.referrerStats[referrer] = (analytics.referrerStats[referrer] || 0) + 1;
+      const {
+        referrerStats, browserStats, osStats, deviceStats, channelStats
+      } = await this.aggregateClickStats(match);
+      const clicksByDate = await this.countClicksByBucket({ userId: owner }, window);
+      const visitors = await this.countUniqueVisitors({ userId: owner }, window);
+      const periodClicks = Object.values(clicksByDate).reduce((sum, count) => sum + count, 0);
 
-        // Clicks by date
-        const date = click.timestamp.toISOString().split('T')[0];
-        analytics.clicksByDate[date] = (analytics.clicksByDate[date] || 0) + 1;
+      const previous = previousPeriod(window);
+      const previousClicks = await Click.countDocuments({
+        userId: owner,
+        timestamp: { $gte: previous.from, $lt: previous.to },
+        ...botFilter
       });
 
-      // Sort clicksByDate chronologically
-      analytics.clicksByDate = Object.fromEntries(
-        Object.entries(analytics.clicksByDate).sort()
-      );
+      // Top links by clicks in the window, with their current details
+      const topRows = await Click.aggregate([
+        { $match: match },
+        { $group: { _id: '$urlCode', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: 10 }
+      ]);
+      const details = await Url.find({ urlCode: { $in: topRows.map(row => row._id) } })
+        .select('urlCode shortUrl longUrl')
+        .lean();
+      const byCode = Object.fromEntries(details.map(url => [url.urlCode, url]));
 
-      return analytics;
+      // Links created in the window and links whose expiry fell in it (click-limited ones
+      // by when they were found expired), trash left out like in the listing
+      const now = new Date();
+      const createdLinks = await Url.countDocuments({
+        userId: owner,
+        deletedAt: null,
+        createdAt: { $gte: window.from, $lt: window.to }
+      });
+      const expiredIn = { $gte: window.from, $lt: window.to < now ? window.to : now };
+      const expiredLinks = await Url.countDocuments({
+        userId: owner,
+        deletedAt: null,
+        $or: [{ expiresAt: expiredIn }, { isExpired: true, expiredAt: expiredIn }]
+      });
+
+      return {
+        range: window,
+        periodClicks,
+        uniqueVisitors: visitors.total,
+        clicksByDate,
+        uniqueVisitorsByDate: visitors.byBucket,
+        topLinks: topRows.map(row => ({
+          urlCode: row._id,
+          shortUrl: byCode[row._id] ? byCode[row._id].shortUrl : null,
+          longUrl: byCode[row._id] ? byCode[row._id].longUrl : null,
+          clicks: row.count
+        })),
+        // referrerStats is already sorted by count
+        topReferrers: Object.entries(referrerStats)
+          .slice(0, 10)
+          .map(([referrer, clicks]) => ({ referrer, clicks })),
+        browserStats,
+        osStats,
+        deviceStats,
+        channelStats,
+        links: {
+          created: createdLinks,
+          expired: expiredLinks
+        },
+        comparison: compareWithPrevious(periodClicks, previous, previousClicks)
+      };
     } catch (error) {
-      throw new Error(`Error getting URL stats: ${error.message}`);
+      throw new Error(`Error getting analytics: ${error.message}`);
     }
   }
 
-  getBrowserFromUserAgent(userAgent) {
-    if (userAgent.includes('Chrome')) return 'Chrome';
-    if (userAgent.includes('Firefox')) return 'Firefox';
-    if (userAgent.includes('Safari')) return 'Safari';
-    if (userAgent.includes('Edge')) return 'Edge';
-    return 'Other';
+  /**
+   * Cursor over the raw clicks of an owned URL, oldest first
+   * Streams documents one by one so exports never hold all clicks in memory
+   * @param {Object} range - Optional { from, to, includeBots }
+   */
+  async getClickCursor(urlCode, userId, range = {}) {
+    await this.getOwnedUrl(urlCode, userId);
+
+    const match = { urlCode };
+    if (range.from || range.to) {
+      match.timestamp = {};
+      if (range.from) match.timestamp.$gte = range.from;
+      if (range.to) match.timestamp.$lt = range.to;
+    }
+    if (!range.includeBots) {
+      match.isBot = { $ne: true };
+    }
+
+    return Click.find(match).sort({ timestamp: 1 }).lean().cursor();
   }
 
   async createBulkUrls(urls, userId) {
@@ -189,7 +1183,23 @@ class UrlService {
           url.longUrl, 
           url.customAlias, 
           url.expiresAt, 
-          userId
+          userId,
+          {
+            password: url.password,
+            targeting: url.targeting,
+            variants: url.variants,
+            stickyVariants: url.stickyVariants,
+            utm: url.utm,
+            forwardQuery: url.forwardQuery,
+            tags: url.tags,
+            campaignId: url.campaignId,
+            activatesAt: url.activatesAt,
+            maxClicks: url.maxClicks,
+            fallbackUrl: url.fallbackUrl,
+            domain: url.domain,
+            title: url.title,
+            preview: url.preview
+          }
         );
         results.push({
           success: true,
@@ -208,43 +1218,667 @@ class UrlService {
     return results;
   }
 
-  async getAllUrls(userId) {
+  /**
+   * List a user's URLs, one page at a time
+   * @param {Object} options - Parsed list query, see utils/listQuery
+   *   { q, campaign, tag, campaignId, status, hasExpiry, createdFrom, createdTo, sort, order,
+   *   limit, cursor }
+   * @returns {Object} { urls, total, nextCursor }
+   */
+  async getAllUrls(userId, options = {}) {
     try {
-      const urls = await Url.find({ userId })
-        .select('urlCode longUrl shortUrl clicks createdAt expiresAt')
-        .sort({ createdAt: -1 });
-      
-      return urls;
+      const { sort = 'createdAt', order = 'desc', limit = 50 } = options;
+      const now = new Date();
+      const conditions = [{ userId, deletedAt: null }];
+
+      if (options.q) {
+        conditions.push({ $text: { $search: options.q } });
+      }
+      if (options.campaign) {
+        conditions.push({ 'utm.campaign': options.campaign });
+      }
+      if (options.tag) {
+        conditions.push({ tags: options.tag });
+      }
+      if (options.campaignId) {
+        conditions.push({ campaignId: options.campaignId });
+      }
+      // Click-limited links only have isExpired
+      if (options.status === 'expired') {
+        conditions.push({ $or: [{ isExpired: true }, { expiresAt: { $lte: now } }] });
+      } else if (options.status === 'active') {
+        conditions.push({ isExpired: false }, { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] });
+      }
+      if (options.hasExpiry !== undefined) {
+        conditions.push({ expiresAt: options.hasExpiry ? { $ne: null } : null });
+      }
+      if (options.createdFrom || options.createdTo) {
+        const createdAt = {};
+        if (options.createdFrom) createdAt.$gte = options.createdFrom;
+        if (options.createdTo) createdAt.$lt = options.createdTo;
+        conditions.push({ createdAt });
+      }
+
+      const filter = { $and: conditions };
+      const pageFilter = options.cursor
+        ? { $and: [...conditions, afterCursor(sort, order, options.cursor)] }
+        : filter;
+      const direction = order === 'asc' ? 1 : -1;
+
+      // One extra document tells whether there is a next page
+      const [page, total] = await Promise.all([
+        Url.find(pageFilter)
+          .select('urlCode domain longUrl shortUrl clicks lastClickedAt createdAt expiresAt isProtected utm forwardQuery tags campaignId activatesAt maxClicks isExpired fallbackUrl title preview')
+          .sort({ [sort]: direction, _id: direction })
+          .limit(limit + 1)
+          .lean(),
+        Url.countDocuments(filter)
+      ]);
+
+      const urls = page.slice(0, limit);
+      const last = urls[urls.length - 1];
+      const nextCursor = page.length > limit
+        ? encodeCursor(last[sort] === undefined ? null : last[sort], last._id)
+        : null;
+
+      // All-time unique visitors of the listed links in one pass
+      const visitors = await Click.aggregate([
+        {
+          $match: {
+            urlCode: { $in: urls.map(url => url.urlCode) },
+            isBot: { $ne: true },
+            visitorId: { $ne: null }
+          }
+        },
+        { $group: { _id: { urlCode: '$urlCode', visitor: '$visitorId' } } },
+        { $group: { _id: '$_id.urlCode', count: { $sum: 1 } } }
+      ]);
+      const uniqueVisitors = toCounts(visitors);
+
+      return {
+        urls: urls.map(url => ({
+          ...url,
+          uniqueVisitors: uniqueVisitors[url.urlCode] || 0
+        })),
+        total,
+        nextCursor
+      };
     } catch (error) {
       throw new Error('Error fetching URLs');
     }
   }
 
-  async deleteUrl(urlCode, userId) {
-    try {
-      const url = await Url.findOne({ urlCode });
-      
-      if (!url) {
-        throw new Error('No such URL');
+  /**
+   * Load a URL and verify it belongs to the given user
+   * Links in the trash count as missing
+   * Throws 'No such URL' or 'Not authorized'
+   */
+  async getOwnedUrl(urlCode, userId) {
+    const url = await Url.findOne({ urlCode, deletedAt: null });
+    
+    if (!url) {
+      throw new Error('No such URL');
+    }
+
+    // Convert both IDs to strings for comparison
+    const urlUserId = url.userId.toString();
+    const requestUserId = userId.toString();
+
+    // Compare the string versions
+    if (urlUserId !== requestUserId) {
+      throw new Error('Not authorized');
+    }
+
+    return url;
+  }
+
+  /**
+   * Update destination, expiry and/or alias of an owned URL
+   * @param {Object} updates - { longUrl, expiresAt, customAlias, password, targeting, variants,
+   * stickyVariants, utm, forwardQuery, tags, campaignId, fallbackUrl, title, preview }, undefined fields are left as is
+   * A null password removes the protection, a null campaignId takes the link out of its campaign
+   */
+  async updateUrl(urlCode, userId, updates) {
+    const url = await this.getOwnedUrl(urlCode, userId);
+
+    if (updates.longUrl !== undefined) {
+      const longUrl = sanitizeLongUrl(updates.longUrl);
+      if (!longUrl) {
+        throw new Error('Invalid URL format');
+      }
+      if (longUrl !== url.longUrl) {
+        this.recordDestinationChange(url, longUrl);
+      }
+    }
+
+    if (updates.expiresAt !== undefined) {
+      if (updates.expiresAt !== null && isNaN(updates.expiresAt.getTime())) {
+        throw new Error('Invalid expiration date');
       }
+      // Clearing or extending the expiry revives the link; pre('save') re-flags past dates
+      url.expiresAt = updates.expiresAt;
+      url.isExpired = false;
+    }
 
-      // Convert both IDs to strings for comparison
-      const urlUserId = url.userId.toString();
-      const requestUserId = userId.toString();
+    if (updates.password !== undefined) {
+      if (updates.password !== null) {
+        this.assertValidPassword(updates.password);
+      }
+      url.password = updates.password;
+    }
 
-    
+    if (updates.targeting !== undefined) {
+      url.targeting = this.normalizeTargeting(updates.targeting);
+    }
+
+    if (updates.variants !== undefined) {
+      url.variants = this.normalizeVariants(updates.variants);
+    }
+
+    if (updates.stickyVariants !== undefined) {
+      url.stickyVariants = Boolean(updates.stickyVariants);
+    }
+
+    if (updates.utm !== undefined) {
+      url.utm = this.normalizeUtm(updates.utm);
+    }
+
+    if (updates.forwardQuery !== undefined) {
+      url.forwardQuery = Boolean(updates.forwardQuery);
+    }
 
-      // Compare the string versions
-      if (urlUserId !== requestUserId) {
-        throw new Error('Not authorized');
+    if (updates.tags !== undefined) {
+      url.tags = this.normalizeTags(updates.tags);
+    }
+
+    if (updates.campaignId !== undefined) {
+      if (updates.campaignId !== null) {
+        await this.assertCampaignOwned(updates.campaignId, userId);
       }
+      url.campaignId = updates.campaignId;
+    }
+
+    if (updates.fallbackUrl !== undefined) {
+      url.fallbackUrl = this.normalizeFallbackUrl(updates.fallbackUrl);
+    }
+
+    if (updates.title !== undefined) {
+      url.title = this.normalizeTitle(updates.title);
+    }
+
+    if (updates.preview !== undefined) {
+      url.preview = this.normalizePreview(updates.preview);
+    }
+
+    // Renamed links stay on their domain
+    if (updates.customAlias !== undefined && linkKey(updates.customAlias, url.domain) !== url.urlCode) {
+      await this.assertAliasAvailable(updates.customAlias, url.domain);
+      url.urlCode = linkKey(updates.customAlias, url.domain);
+      url.shortUrl = shortUrlFor(updates.customAlias, url.domain);
+    }
+
+    await url.save();
+    url.password = undefined;
+
+    // Clicks are keyed by code, carry them over to the new alias
+    if (url.urlCode !== urlCode) {
+      await Click.updateMany({ urlCode }, { urlCode: url.urlCode });
+      await ClickRollup.updateMany({ urlCode }, { urlCode: url.urlCode });
+      // The old code may be printed somewhere, keep it from being reissued
+      await this.reserveCodes([{ urlCode, userId: url.userId }], 'renamed');
+    }
+
+    // Drop stale cache entries so redirects pick up the change immediately
+    await this.cache.delete(urlCode);
+    await this.cache.delete(url.urlCode);
+    return url;
+  }
+
+  /**
+   * Restore the destination of an earlier version
+   * The rollback itself is recorded as a new version
+   */
+  async rollbackUrl(urlCode, userId, version) {
+    const url = await this.getOwnedUrl(urlCode, userId);
+
+    const entry = url.history.find(item => item.version === Number(version));
+    if (!entry) {
+      throw new Error('No such version');
+    }
+
+    this.recordDestinationChange(url, entry.longUrl);
+    await url.save();
 
-      await url.deleteOne();
+    await this.cache.delete(urlCode);
+    return url;
+  }
+
+  async getUrlHistory(urlCode, userId) {
+    const url = await this.getOwnedUrl(urlCode, userId);
+
+    return {
+      currentVersion: url.version,
+      longUrl: url.longUrl,
+      history: url.history.map(({ version, longUrl, changedAt }) => ({ version, longUrl, changedAt }))
+    };
+  }
+
+  // Push the current destination onto the history and switch to the new one
+  recordDestinationChange(url, longUrl) {
+    url.history.push({
+      version: url.version,
+      longUrl: url.longUrl,
+      changedAt: new Date()
+    });
+    url.longUrl = longUrl;
+    url.version += 1;
+  }
+
+  async deleteUrl(urlCode, userId) {
+    try {
+      const url = await this.getOwnedUrl(urlCode, userId);
+
+      await this.removeUrls([url]);
       return url;
     } catch (error) {
       throw error;
     }
   }
+
+  /**
+   * Move links to the trash
+   * They stop redirecting right away, keep their code and analytics
+   * and can be restored until the purge job removes them
+   * Shared by single and bulk deletes, ownership must be checked by the caller
+   * @param {Array} urls - Url documents (or lean objects with _id and urlCode)
+   */
+  async removeUrls(urls) {
+    await Url.updateMany(
+      { _id: { $in: urls.map(url => url._id) }, deletedAt: null },
+      { deletedAt: new Date() }
+    );
+    await this.invalidate(urls);
+  }
+
+  /**
+   * Drop links from the cache
+   * @param {Array} urls - Objects with urlCode
+   */
+  async invalidate(urls) {
+    await Promise.all(urls.map(url => this.cache.delete(url.urlCode)));
+  }
+
+  /**
+   * Drop all of a user's links from the cache, after a change to a setting cached with them
+   */
+  async invalidateOwner(userId) {
+    const cursor = Url.find({ userId }).select('urlCode').lean().cursor();
+    for await (const url of cursor) {
+      await this.cache.delete(url.urlCode);
+    }
+  }
+
+  /**
+   * List the links in a user's trash, most recently deleted first
+   * @returns {Array} Links with the date they will be purged
+   */
+  async getTrash(userId) {
+    const urls = await Url.find({ userId, deletedAt: { $ne: null } })
+      .select('urlCode longUrl shortUrl clicks createdAt deletedAt tags campaignId')
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    return urls.map(url => ({
+      ...url,
+      purgeAt: new Date(url.deletedAt.getTime() + config.trashRetentionDays * DAY_MS)
+    }));
+  }
+
+  /**
+   * Take a link out of the trash
+   * Throws 'No such URL' when it is not in the trash or 'Not authorized'
+   */
+  async restoreUrl(urlCode, userId) {
+    const url = await Url.findOne({ urlCode, deletedAt: { $ne: null } });
+    if (!url) {
+      throw new Error('No such URL');
+    }
+    if (url.userId.toString() !== userId.toString()) {
+      throw new Error('Not authorized');
+    }
+
+    url.deletedAt = null;
+    await url.save();
+    await this.cache.delete(urlCode);
+    return url;
+  }
+
+  /**
+   * Permanently remove links that have been in the trash longer than the retention period
+   * Their clicks and rollups go with them, their codes stay reserved
+   * @returns {number} Number of purged links
+   */
+  async purgeTrash(now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.trashRetentionDays * DAY_MS);
+    let purged = 0;
+
+    for (;;) {
+      const urls = await Url.find({ deletedAt: { $ne: null, $lte: cutoff } })
+        .select('_id urlCode userId')
+        .limit(PURGE_BATCH_SIZE)
+        .lean();
+      if (urls.length === 0) break;
+
+      const codes = urls.map(url => url.urlCode);
+      // Reserve first, a crash in between must never free a code
+      await this.reserveCodes(urls, 'purged');
+      await Click.deleteMany({ urlCode: { $in: codes } });
+      await ClickRollup.deleteMany({ urlCode: { $in: codes } });
+      await Url.deleteMany({ _id: { $in: urls.map(url => url._id) } });
+
+      purged += urls.length;
+    }
+
+    return purged;
+  }
+
+  /**
+   * Flag links whose expiry passed or click limit was used up
+   * Expiry is otherwise only noticed when a link is visited, this keeps
+   * isExpired accurate for links nobody follows anymore
+   * Emits an 'expired' link event for every link it flags, not for ones a visit
+   * flagged meanwhile
+   * @returns {number} Number of links flagged
+   */
+  async sweepExpired(now = new Date()) {
+    const filter = {
+      deletedAt: null,
+      isExpired: false,
+      $or: [
+        { expiresAt: { $ne: null, $lte: now } },
+        { $expr: { $and: [{ $gt: ['$maxClicks', 0] }, { $gte: ['$clicks', '$maxClicks'] }] } }
+      ]
+    };
+    let marked = 0;
+
+    for (;;) {
+      const urls = await Url.find(filter)
+        .select('_id urlCode userId expiresAt maxClicks clicks')
+        .limit(SWEEP_BATCH_SIZE)
+        .lean();
+      if (urls.length === 0) break;
+
+      // One update per link, like getUrl, to know which ones this sweep flipped
+      const results = await Promise.all(urls.map(url => Url.updateOne(
+        { _id: url._id, isExpired: false },
+        { isExpired: true, expiredAt: now }
+      )));
+      const flagged = urls.filter((url, index) => results[index].modifiedCount > 0);
+      await this.invalidate(urls);
+      flagged.forEach(url => this.emitExpired({ ...url, expiredAt: now }, now));
+
+      marked += flagged.length;
+    }
+
+    // Links flagged before expiredAt existed start their grace period now
+    await Url.updateMany({ isExpired: true, expiredAt: null, deletedAt: null }, { expiredAt: now });
+
+    return marked;
+  }
+
+  /**
+   * Move links expired for longer than the archive grace period to the archive
+   * Does nothing unless ARCHIVE_AFTER_DAYS is set
+   * Their codes stay reserved, their analytics stay in place
+   * @returns {number} Number of archived links
+   */
+  async archiveExpired(now = new Date()) {
+    if (!config.archiveAfterDays) {
+      return 0;
+    }
+
+    const cutoff = new Date(now.getTime() - config.archiveAfterDays * DAY_MS);
+    let archived = 0;
+
+    for (;;) {
+      const urls = await Url.find({ isExpired: true, deletedAt: null, expiredAt: { $ne: null, $lte: cutoff } })
+        .select('-password -qrCode')
+        .limit(SWEEP_BATCH_SIZE)
+        .lean();
+      if (urls.length === 0) break;
+
+      // Keyed by the original _id, a re-run after a crash doesn't duplicate anything
+      await ArchivedUrl.bulkWrite(urls.map(url => ({
+        updateOne: {
+          filter: { _id: url._id },
+          update: {
+            $setOnInsert: {
+              urlCode: url.urlCode,
+              userId: url.userId,
+              longUrl: url.longUrl,
+              expiredAt: url.expiredAt,
+              archivedAt: now,
+              snapshot: url
+            }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+      await this.reserveCodes(urls, 'archived');
+      await Url.deleteMany({ _id: { $in: urls.map(url => url._id) } });
+
+      await this.invalidate(urls);
+      urls.forEach(url => {
+        linkEvents.safeEmit('archived', { urlCode: url.urlCode, userId: url.userId, archivedAt: now });
+      });
+      archived += urls.length;
+    }
+
+    return archived;
+  }
+
+  /**
+   * Announce that a link has just expired
+   * @param {Object} url - Url document or lean object
+   */
+  emitExpired(url, now = new Date()) {
+    const byDate = Boolean(url.expiresAt && url.expiresAt <= now);
+    linkEvents.safeEmit('expired', {
+      urlCode: url.urlCode,
+      userId: url.userId,
+      reason: byDate ? 'date' : 'clicks',
+      expiredAt: url.expiredAt || now
+    });
+  }
+
+  /**
+   * Write tombstones for codes so they can never be reissued
+   * @param {Array} urls - Objects with urlCode and userId
+   * @param {string} reason - purged, archived or renamed
+   */
+  async reserveCodes(urls, reason) {
+    await ReservedCode.bulkWrite(urls.map(url => ({
+      updateOne: {
+        filter: { urlCode: url.urlCode },
+        update: { $setOnInsert: { userId: url.userId, reason, reservedAt: new Date() } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  /**
+   * Resolve the links a bulk operation applies to
+   * @param {Object} target - Either { codes } or { filter: { tag, campaignId, createdBefore, expired } }
+   * @returns {Object} { urls, rejected } - Owned links, and per-code errors for listed codes
+   * that do not exist or belong to someone else
+   */
+  async resolveBulkTargets(userId, { codes, filter }) {
+    if ((codes === undefined) === (filter === undefined)) {
+      throw new Error('Provide either codes or filter');
+    }
+
+    const fields = '_id urlCode userId tags expiresAt expiredAt';
+
+    if (codes !== undefined) {
+      if (!Array.isArray(codes) || codes.length === 0 || codes.some(code => typeof code !== 'string')) {
+        throw new Error('Codes must be a non-empty array of strings');
+      }
+      if (codes.length > MAX_BULK_CODES) {
+        throw new Error(`At most ${MAX_BULK_CODES} codes per request`);
+      }
+
+      const unique = [...new Set(codes)];
+      const found = await Url.find({ urlCode: { $in: unique }, deletedAt: null }).select(fields).lean();
+      const byCode = Object.fromEntries(found.map(url => [url.urlCode, url]));
+
+      const urls = [];
+      const rejected = [];
+      for (const code of unique) {
+        const url = byCode[code];
+        if (!url) {
+          rejected.push({ urlCode: code, success: false, error: 'No such URL' });
+        } else if (url.userId.toString() !== userId.toString()) {
+          rejected.push({ urlCode: code, success: false, error: 'Not authorized' });
+        } else {
+          urls.push(url);
+        }
+      }
+      return { urls, rejected };
+    }
+
+    if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+      throw new Error('Filter must be an object');
+    }
+
+    // Filters only ever match the caller's own, live links
+    const query = { userId, deletedAt: null };
+    let criteria = 0;
+    if (filter.tag !== undefined) {
+      query.tags = String(filter.tag).trim().toLowerCase();
+      criteria++;
+    }
+    if (filter.campaignId !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(filter.campaignId)) {
+        throw new Error('Invalid campaignId');
+      }
+      query.campaignId = filter.campaignId;
+      criteria++;
+    }
+    if (filter.createdBefore !== undefined) {
+      const createdBefore = new Date(filter.createdBefore);
+      if (isNaN(createdBefore.getTime())) {
+        throw new Error('Invalid createdBefore date');
+      }
+      query.createdAt = { $lt: createdBefore };
+      criteria++;
+    }
+    if (filter.expired !== undefined) {
+      if (typeof filter.expired !== 'boolean') {
+        throw new Error('expired must be true or false');
+      }
+      if (filter.expired) {
+        query.$or = [{ isExpired: true }, { expiresAt: { $lte: new Date() } }];
+      } else {
+        query.isExpired = false;
+        query.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+      }
+      criteria++;
+    }
+    if (criteria === 0) {
+      throw new Error('Filter needs at least one of: tag, campaignId, createdBefore, expired');
+    }
+
+    const urls = await Url.find(query).select(fields).sort({ createdAt: 1 }).limit(MAX_BULK_MATCHES + 1).lean();
+    if (urls.length > MAX_BULK_MATCHES) {
+      throw new Error(`Filter matches more than ${MAX_BULK_MATCHES} links, narrow it down`);
+    }
+    return { urls, rejected: [] };
+  }
+
+  /**
+   * Move many owned links to the trash at once
+   * @param {Object} target - See resolveBulkTargets
+   * @param {boolean} dryRun - Only report what would be deleted
+   * @returns {Array} Per-code results
+   */
+  async bulkDeleteUrls(userId, target, dryRun = false) {
+    const { urls, rejected } = await this.resolveBulkTargets(userId, target);
+
+    if (!dryRun && urls.length > 0) {
+      await this.removeUrls(urls);
+    }
+
+    return [
+      ...urls.map(url => ({ urlCode: url.urlCode, success: true, action: 'delete' })),
+      ...rejected
+    ];
+  }
+
+  /**
+   * Change expiry and/or tags of many owned links at once
+   * @param {Object} target - See resolveBulkTargets
+   * @param {Object} changes - { expiresAt (Date or null), tags, addTags, removeTags }
+   * @param {boolean} dryRun - Only report what would change
+   * @returns {Array} Per-code results with the before and after values
+   */
+  async bulkUpdateUrls(userId, target, changes, dryRun = false) {
+    const { expiresAt, tags, addTags, removeTags } = changes;
+    if ([expiresAt, tags, addTags, removeTags].every(change => change === undefined)) {
+      throw new Error('Nothing to change, provide expiresAt, expiresIn, tags, addTags or removeTags');
+    }
+    if (tags !== undefined && (addTags !== undefined || removeTags !== undefined)) {
+      throw new Error('Use either tags or addTags/removeTags');
+    }
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      throw new Error('Invalid expiration date');
+    }
+
+    const replacement = tags !== undefined ? this.normalizeTags(tags) : undefined;
+    const added = this.normalizeTags(addTags);
+    const removed = this.normalizeTags(removeTags);
+
+    const { urls, rejected } = await this.resolveBulkTargets(userId, target);
+    const now = new Date();
+    const results = [];
+    const writes = [];
+
+    for (const url of urls) {
+      const update = {};
+      const result = { urlCode: url.urlCode, success: true, changes: {} };
+
+      if (expiresAt !== undefined) {
+        update.expiresAt = expiresAt;
+        // Mirrors the pre('save') flag, extending revives expired links
+        update.isExpired = expiresAt !== null && expiresAt <= now;
+        update.expiredAt = update.isExpired ? url.expiredAt || now : null;
+        result.changes.expiresAt = { from: url.expiresAt || null, to: expiresAt };
+      }
+
+      if (replacement !== undefined || added.length > 0 || removed.length > 0) {
+        const current = url.tags || [];
+        const next = replacement !== undefined
+          ? replacement
+          : [...new Set([...current, ...added])].filter(tag => !removed.includes(tag));
+
+        if (next.length > MAX_TAGS) {
+          results.push({ urlCode: url.urlCode, success: false, error: `A link can have at most ${MAX_TAGS} tags` });
+          continue;
+        }
+        update.tags = next;
+        result.changes.tags = { from: current, to: next };
+      }
+
+      writes.push({ updateOne: { filter: { _id: url._id }, update: { $set: update } } });
+      results.push(result);
+    }
+
+    if (!dryRun && writes.length > 0) {
+      await Url.bulkWrite(writes, { ordered: false });
+      await this.invalidate(urls);
+    }
+
+    return [...results, ...rejected];
+  }
 }
 
 module.exports = new UrlService(); 
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Click Export Serializers
+ * Turn a stream of Click documents into CSV, JSON or NDJSON text
+ * Features:
+ * - Streaming transforms, nothing is buffered beyond one click
+ * - Fixed column set without raw IPs or user agents
+ * - CSV quoting and spreadsheet formula neutralisation
+ */
+
+const { Transform } = require('stream');
+const { csvLine } = require('./csv');
+
+const COLUMNS = [
+  'timestamp',
+  'referrer',
+  'browser',
+  'browserVersion',
+  'os',
+  'osVersion',
+  'device',
+  'country',
+  'isBot',
+  'variant',
+  'matchedRule',
+  'channel',
+  'qrVariant',
+  'visitorId'
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Flatten a Click document into the exported columns
+const toRow = (click) => ({
+  timestamp: click.timestamp ? click.timestamp.toISOString() : null,
+  referrer: click.referer || null,
+  browser: click.browser || null,
+  browserVersion: click.browserVersion || null,
+  os: click.os || null,
+  osVersion: click.osVersion || null,
+  device: click.device || null,
+  country: click.country || null,
+  isBot: Boolean(click.isBot),
+  variant: click.variant || null,
+  matchedRule: click.matchedRule || null,
+  channel: click.channel || null,
+  qrVariant: click.qrVariant || null,
+  visitorId: click.visitorId || null
+});
+
+/**
+ * Create a transform from Click documents to export text
+ * @param {string} format - csv, json or ndjson
+ * @returns {Transform} Object mode in, text out
+ */
+const createExportStream = (format) => {
+  let first = true;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(click, encoding, callback) {
+      const row = toRow(click);
+      let chunk;
+
+      if (format === 'csv') {
+        chunk = `${first ? `${COLUMNS.join(',')}\n` : ''}${csvLine(COLUMNS, row)}`;
+      } else if (format === 'json') {
+        chunk = `${first ? '[\n' : ',\n'}${JSON.stringify(row)}`;
+      } else {
+        chunk = `${JSON.stringify(row)}\n`;
+      }
+
+      first = false;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (format === 'csv' && first) {
+        this.push(`${COLUMNS.join(',')}\n`);
+      } else if (format === 'json') {
+        this.push(first ? '[]\n' : '\n]\n');
+      }
+      callback();
+    }
+  });
+};
+
+module.exports = {
+  FORMATS,
+  createExportStream
+};
@@ -0,0 +1,85 @@
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 reading and writing shared by imports and exports
+ * Features:
+ * - Quoted fields with embedded commas, quotes and line breaks
+ * - CRLF or LF line endings and a leading byte order mark
+ * - Spreadsheet formula neutralisation on output
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Format a value as a CSV field
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Keep spreadsheets from evaluating values like "=HYPERLINK(...)"
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line from a row object and the column order
+const csvLine = (columns, row) => `${columns.map(column => csvValue(row[column])).join(',')}\n`;
+
+module.exports = {
+  parseCsv,
+  csvValue,
+  csvLine
+};
@@ -0,0 +1,56 @@
+/**
+ * Domain Helpers
+ * Shared by the domain service, URL service and the redirect route
+ * Features:
+ * - Hostname normalization and validation
+ * - Link keys: codes on a custom domain are stored as `<hostname>:<code>`,
+ *   so the same code can exist once per domain
+ * - Short URLs on the default or a custom domain
+ */
+
+const { isFQDN } = require('validator');
+const config = require('../config/config');
+
+// Host of BASE_URL, links on it are stored under their bare code
+const defaultHostname = () => new URL(config.baseUrl).hostname.toLowerCase();
+
+/**
+ * Lowercase a hostname and drop a trailing dot
+ * Throws when it isn't a fully qualified domain name or is the default domain
+ */
+const normalizeHostname = (hostname) => {
+  if (typeof hostname !== 'string') {
+    throw new Error('Invalid domain');
+  }
+  const normalized = hostname.trim().toLowerCase().replace(/\.$/, '');
+  if (!isFQDN(normalized) || normalized === defaultHostname()) {
+    throw new Error('Invalid domain');
+  }
+  return normalized;
+};
+
+/**
+ * Key a link is stored and addressed under
+ * @param {string} code - Path of the short URL
+ * @param {string} domain - Custom domain, null for the default one
+ */
+const linkKey = (code, domain) => (domain ? `${domain}:${code}` : code);
+
+/**
+ * Whether a path segment can be a link code, i.e. a generated code or custom alias
+ * Never true for a link key of a custom domain
+ */
+const isLinkCode = (code) => /^[a-zA-Z0-9-_]+$/.test(code);
+
+/**
+ * Public short URL of a link
+ * Custom domains are always served over HTTPS
+ */
+const shortUrlFor = (code, domain) => (domain ? `https://${domain}/${code}` : `${config.baseUrl}/${code}`);
+
+module.exports = {
+  normalizeHostname,
+  linkKey,
+  isLinkCode,
+  shortUrlFor
+};
@@ -0,0 +1,27 @@
+/**
+ * Link Events
+ * In-process event bus for link lifecycle changes
+ * Events:
+ * - expired: { urlCode, userId, reason ('date' or 'clicks'), expiredAt }
+ * - archived: { urlCode, userId, archivedAt }
+ *
+ * Emitted once the change is stored; listener errors are logged and never
+ * break the operation that emitted the event
+ */
+
+const { EventEmitter } = require('events');
+
+const linkEvents = new EventEmitter();
+
+/**
+ * Emit without letting a failing listener escape
+ */
+linkEvents.safeEmit = (event, payload) => {
+  try {
+    linkEvents.emit(event, payload);
+  } catch (error) {
+    console.error(`Link event listener for '${event}' failed:`, error);
+  }
+};
+
+module.exports = linkEvents;
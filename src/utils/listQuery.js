@@ -0,0 +1,146 @@
+/**
+ * URL List Query Helpers
+ * Parsing and keyset pagination for GET /urls
+ * Features:
+ * - Validation of search, filter and sort parameters
+ * - Opaque cursors encoding the last seen sort value and _id
+ * - Keyset conditions that page through null sort values (never clicked links)
+ */
+
+const mongoose = require('mongoose');
+
+const SORT_FIELDS = ['createdAt', 'clicks', 'lastClickedAt'];
+const DATE_FIELDS = ['createdAt', 'lastClickedAt'];
+const STATUSES = ['active', 'expired'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+const encodeCursor = (value, id) => Buffer
+  .from(JSON.stringify([value instanceof Date ? value.toISOString() : value, String(id)]))
+  .toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error();
+    }
+
+    let sortValue = value;
+    if (value !== null && DATE_FIELDS.includes(sort)) {
+      sortValue = new Date(value);
+      if (isNaN(sortValue.getTime())) throw new Error();
+    } else if (value !== null && typeof value !== 'number') {
+      throw new Error();
+    }
+
+    return { value: sortValue, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+/**
+ * Parse and validate list query parameters
+ * @returns {Object} { q, campaign, tag, campaignId, status, hasExpiry, createdFrom, createdTo,
+ * sort, order, limit, cursor }
+ */
+const parseListQuery = (query) => {
+  const sort = query.sort || 'createdAt';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new Error(`Sort must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error('Order must be asc or desc');
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error(`Limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  if (query.status !== undefined && !STATUSES.includes(query.status)) {
+    throw new Error(`Status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  let hasExpiry;
+  if (query.hasExpiry !== undefined) {
+    if (!['true', 'false'].includes(String(query.hasExpiry))) {
+      throw new Error('hasExpiry must be true or false');
+    }
+    hasExpiry = String(query.hasExpiry) === 'true';
+  }
+
+  const parseDate = (value, name) => {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+  };
+
+  const createdFrom = parseDate(query.createdFrom, 'createdFrom');
+  const createdTo = parseDate(query.createdTo, 'createdTo');
+  if (createdFrom && createdTo && createdFrom >= createdTo) {
+    throw new Error('createdFrom must be before createdTo');
+  }
+
+  if (query.campaignId !== undefined && !mongoose.Types.ObjectId.isValid(String(query.campaignId))) {
+    throw new Error('Invalid campaignId');
+  }
+
+  const q = typeof query.q === 'string' && query.q.trim() ? query.q.trim() : undefined;
+
+  return {
+    q,
+    campaign: query.campaign,
+    tag: typeof query.tag === 'string' ? query.tag.trim().toLowerCase() : undefined,
+    campaignId: query.campaignId,
+    status: query.status,
+    hasExpiry,
+    createdFrom,
+    createdTo,
+    sort,
+    order,
+    limit,
+    cursor: query.cursor ? decodeCursor(String(query.cursor), sort) : undefined
+  };
+};
+
+/**
+ * Condition selecting the documents after a cursor
+ * Nulls sort before every value in MongoDB, so they come first
+ * in ascending order and last in descending order
+ */
+const afterCursor = (sort, order, { value, id }) => {
+  const idOp = order === 'asc' ? '$gt' : '$lt';
+  const valueOp = order === 'asc' ? '$gt' : '$lt';
+
+  if (value === null) {
+    return order === 'asc'
+      ? { $or: [{ [sort]: null, _id: { [idOp]: id } }, { [sort]: { $ne: null } }] }
+      : { [sort]: null, _id: { [idOp]: id } };
+  }
+
+  const conditions = [
+    { [sort]: { [valueOp]: value } },
+    { [sort]: value, _id: { [idOp]: id } }
+  ];
+  if (order === 'desc') {
+    conditions.push({ [sort]: null });
+  }
+  return { $or: conditions };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  encodeCursor,
+  parseListQuery,
+  afterCursor
+};
@@ -0,0 +1,139 @@
+/**
+ * QR Code Query Helpers
+ * Parsing of the styling options accepted by GET /urls/:code/qr
+ * Features:
+ * - Image format, size and quiet-zone margin
+ * - Foreground and background colours as hex (#rgb, #rrggbb or #rrggbbaa)
+ * - Error correction level, raised to H when a centre logo covers part of the code
+ * - Scan marker added to the encoded short URL, with optional named variants
+ */
+
+const FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const DEFAULT_SIZE = 300;
+const MIN_SIZE = 64;
+const MAX_SIZE = 2048;
+const DEFAULT_MARGIN = 4;
+const MAX_MARGIN = 20;
+
+// Query parameter QR codes add to the short URL, so scans can be told apart from clicks
+const QR_MARKER = 'qr';
+// Names of QR variants, e.g. one per poster location
+const QR_VARIANT = /^[a-z0-9_-]{1,32}$/;
+
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Expand to the #rrggbbaa form the qrcode package expects
+const parseColor = (value, name) => {
+  const match = HEX_COLOR.exec(value);
+  if (!match) {
+    throw new Error(`${name} must be a hex colour like #1a2b3c`);
+  }
+
+  let hex = match[1].toLowerCase();
+  if (hex.length === 3) {
+    hex = hex.split('').map(digit => digit + digit).join('');
+  }
+  return `#${hex.length === 6 ? `${hex}ff` : hex}`;
+};
+
+const parseInteger = (value, name, min, max, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Validate a QR variant name
+ * @returns {string|null} Lowercased name, null when none was given
+ */
+const parseQrVariant = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const variant = String(value).toLowerCase();
+  if (!QR_VARIANT.test(variant)) {
+    throw new Error('variant must be 1-32 letters, numbers, hyphens or underscores');
+  }
+  return variant;
+};
+
+/**
+ * The URL a QR code encodes: the short URL plus the scan marker
+ * e.g. http://domain/abc?qr or http://domain/abc?qr=lobby
+ */
+const qrTarget = (shortUrl, variant = null) =>
+  `${shortUrl}?${QR_MARKER}${variant ? `=${encodeURIComponent(variant)}` : ''}`;
+
+/**
+ * Read the scan marker of an incoming redirect
+ * Lenient, a mangled variant still counts as a QR scan
+ * @returns {Object|null} { variant }, null when the visit did not come from a QR code
+ */
+const readQrMarker = (query) => {
+  const value = query[QR_MARKER];
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  try {
+    return { variant: parseQrVariant(value) };
+  } catch (error) {
+    return { variant: null };
+  }
+};
+
+/**
+ * Parse and validate QR code query parameters
+ * @returns {Object} { format, size, margin, fg, bg, ecl, logo }
+ */
+const parseQrQuery = (query) => {
+  const format = query.format || 'png';
+  if (!FORMATS[format]) {
+    throw new Error(`Format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const logo = query.logo === 'true' || query.logo === '1';
+
+  // The logo hides part of the modules, only H recovers enough of them
+  let ecl = logo ? 'H' : 'M';
+  if (query.ecl !== undefined) {
+    ecl = String(query.ecl).toUpperCase();
+    if (!ERROR_CORRECTION_LEVELS.includes(ecl)) {
+      throw new Error(`ecl must be one of: ${ERROR_CORRECTION_LEVELS.join(', ')}`);
+    }
+    if (logo && ecl !== 'H') {
+      throw new Error('A logo needs error correction level H');
+    }
+  }
+
+  return {
+    format,
+    size: parseInteger(query.size, 'size', MIN_SIZE, MAX_SIZE, DEFAULT_SIZE),
+    margin: parseInteger(query.margin, 'margin', 0, MAX_MARGIN, DEFAULT_MARGIN),
+    fg: parseColor(query.fg || '#000000', 'fg'),
+    bg: parseColor(query.bg || '#ffffff', 'bg'),
+    ecl,
+    logo
+  };
+};
+
+module.exports = {
+  FORMATS,
+  ERROR_CORRECTION_LEVELS,
+  QR_MARKER,
+  parseQrQuery,
+  parseQrVariant,
+  qrTarget,
+  readQrMarker
+};
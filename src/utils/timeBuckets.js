@@ -0,0 +1,243 @@
+/**
+ * Time Bucket Helpers
+ * Shared by the statistics endpoints to group clicks over a time window
+ * Features:
+ * - Query parsing for from/to/granularity/tz, and the window built from it
+ * - Bucket keys in the caller's time zone (hour/day/week/month)
+ * - Matching MongoDB expressions so database and zero-filled keys agree
+ * - Previous equal-length period and the change against it
+ */
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const HOUR_MS = 60 * 60 * 1000;
+// Rough bucket lengths, only used to bound the number of buckets
+const BUCKET_MS = {
+  hour: HOUR_MS,
+  day: 24 * HOUR_MS,
+  week: 7 * 24 * HOUR_MS,
+  month: 28 * 24 * HOUR_MS
+};
+const MAX_BUCKETS = 5000;
+// Shortest a bucket can be in any time zone (DST days, 28 day months), so
+// stepping by it never skips one
+const MIN_BUCKET_MS = {
+  hour: HOUR_MS,
+  day: 23 * HOUR_MS,
+  week: (7 * 24 - 1) * HOUR_MS,
+  month: (28 * 24 - 1) * HOUR_MS
+};
+
+const formatters = new Map();
+const getFormatter = (tz) => {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(tz);
+};
+
+// Wall clock parts of a date in a time zone
+const localParts = (date, tz) => Object.fromEntries(
+  getFormatter(tz).formatToParts(date).map(part => [part.type, part.value])
+);
+
+const pad = (value) => String(value).padStart(2, '0');
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Key of the bucket a date falls in, in the given time zone
+ * hour: 2024-01-31T13:00, day: 2024-01-31, week: 2024-01-29 (Monday), month: 2024-01
+ */
+const bucketKey = (date, granularity, tz) => {
+  const parts = localParts(date, tz);
+
+  switch (granularity) {
+    case 'hour':
+      return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:00`;
+    case 'week': {
+      const monday = new Date(Date.UTC(
+        Number(parts.year),
+        Number(parts.month) - 1,
+        Number(parts.day) - WEEKDAYS.indexOf(parts.weekday)
+      ));
+      return `${monday.getUTCFullYear()}-${pad(monday.getUTCMonth() + 1)}-${pad(monday.getUTCDate())}`;
+    }
+    case 'month':
+      return `${parts.year}-${parts.month}`;
+    default:
+      return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+};
+
+/**
+ * MongoDB expression producing the same key as bucketKey for a date field
+ */
+const bucketKeyExpression = (field, granularity, tz) => {
+  const formats = {
+    hour: '%Y-%m-%dT%H:00',
+    day: '%Y-%m-%d',
+    week: '%Y-%m-%d',
+    month: '%Y-%m'
+  };
+  const date = granularity === 'week'
+    ? { $dateTrunc: { date: field, unit: 'week', startOfWeek: 'monday', timezone: tz } }
+    : field;
+
+  return { $dateToString: { date, format: formats[granularity], timezone: tz } };
+};
+
+/**
+ * Every bucket key between from (inclusive) and to (exclusive), in order
+ * Steps by the shortest bucket length so DST changes and odd offsets are handled
+ * by Intl, with about one lookup per bucket
+ */
+const listBucketKeys = (from, to, granularity, tz) => {
+  const keys = new Set();
+
+  for (let time = from.getTime(); time < to.getTime(); time += MIN_BUCKET_MS[granularity]) {
+    keys.add(bucketKey(new Date(time), granularity, tz));
+  }
+  // The last step may land before a bucket that starts just before to
+  if (to > from) {
+    keys.add(bucketKey(new Date(to.getTime() - 1), granularity, tz));
+  }
+  return [...keys];
+};
+
+// Offset of a time zone from UTC in minutes at a given instant
+const zoneOffsetMinutes = (date, tz) => {
+  const parts = localParts(date, tz);
+  const wallClock = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute)
+  );
+  return Math.round((wallClock - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+};
+
+/**
+ * Whether hourly UTC rollups can answer a window exactly:
+ * the window starts on a full hour, ends on a full hour (or is open-ended)
+ * and the zone is a whole number of hours away from UTC
+ */
+const isHourAligned = ({ from, to, tz, openEnded }) => {
+  const onHour = (date) => date.getTime() % HOUR_MS === 0;
+  const wholeHourZone = (date) => zoneOffsetMinutes(date, tz) % 60 === 0;
+
+  return onHour(from) &&
+    (onHour(to) || Boolean(openEnded)) &&
+    wholeHourZone(from) &&
+    wholeHourZone(to);
+};
+
+/**
+ * Parse and validate statistics query parameters
+ * from/to are left undefined when missing so callers can pick defaults
+ * @returns {Object} { from, to, granularity, tz }
+ */
+const parseRangeQuery = (query) => {
+  const granularity = query.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const tz = query.tz || 'UTC';
+  try {
+    getFormatter(tz);
+  } catch (error) {
+    throw new Error('Invalid time zone');
+  }
+
+  const parseDate = (value, name) => {
+    if (value === undefined) return undefined;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+  };
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from >= to) {
+    throw new Error('from must be before to');
+  }
+
+  return { from, to, granularity, tz };
+};
+
+/**
+ * Reject windows that would produce an unreasonable number of buckets
+ */
+const assertBucketCount = ({ from, to, granularity }) => {
+  if ((to - from) / BUCKET_MS[granularity] > MAX_BUCKETS) {
+    throw new Error('Too many buckets, narrow the range or use a coarser granularity');
+  }
+};
+
+/**
+ * Statistics window for parsed range parameters
+ * Without to it runs until now and is open-ended: nothing can have happened
+ * after now, so the hourly rollups still answer it exactly
+ * @param {Object} range - From parseRangeQuery, plus includeBots
+ * @param {Date} since - Start when from is missing, rounded down to the hour
+ * @returns {Object} { from, to, openEnded, granularity, tz, includeBots }
+ */
+const buildWindow = (range, since) => {
+  const window = {
+    from: range.from || new Date(Math.floor(since.getTime() / HOUR_MS) * HOUR_MS),
+    to: range.to || new Date(),
+    openEnded: !range.to,
+    granularity: range.granularity || 'day',
+    tz: range.tz || 'UTC',
+    includeBots: Boolean(range.includeBots)
+  };
+  // from alone may still lie in the future
+  if (window.from >= window.to) {
+    throw new Error('from must be before to');
+  }
+  assertBucketCount(window);
+  return window;
+};
+
+/**
+ * The equal-length window right before the given one
+ */
+const previousPeriod = ({ from, to }) => ({
+  from: new Date(from.getTime() - (to - from)),
+  to: new Date(from.getTime())
+});
+
+/**
+ * Change of a window's clicks against the previous period
+ * @param {Object} previous - Window returned by previousPeriod
+ */
+const compareWithPrevious = (periodClicks, previous, previousClicks) => ({
+  from: previous.from,
+  to: previous.to,
+  periodClicks: previousClicks,
+  change: periodClicks - previousClicks,
+  changePercent: previousClicks > 0
+    ? Number((((periodClicks - previousClicks) / previousClicks) * 100).toFixed(2))
+    : null
+});
+
+module.exports = {
+  GRANULARITIES,
+  bucketKey,
+  bucketKeyExpression,
+  listBucketKeys,
+  isHourAligned,
+  parseRangeQuery,
+  assertBucketCount,
+  buildWindow,
+  previousPeriod,
+  compareWithPrevious
+};
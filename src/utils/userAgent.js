@@ -0,0 +1,119 @@
+/**
+ * User Agent Helpers
+ * Classifies request user agents for analytics and redirect targeting
+ * Features:
+ * - Browser and version detection (Chromium forks before Chrome)
+ * - Operating system and version detection
+ * - Device class detection (desktop/mobile/tablet/bot)
+ * - Crawler and link-preview bot recognition
+ * - Safe handling of missing user agents
+ */
+
+const OS_NAMES = ['iOS', 'Android', 'Windows', 'macOS', 'ChromeOS', 'Linux', 'Other'];
+const DEVICE_TYPES = ['desktop', 'mobile', 'tablet', 'bot'];
+
+// Known crawlers and link unfurlers, checked in order, first match names the bot
+const BOTS = [
+  ['Slackbot', /Slackbot|Slack-ImgProxy/i],
+  ['Twitterbot', /Twitterbot/i],
+  ['Facebook', /facebookexternalhit|Facebot/i],
+  ['LinkedInBot', /LinkedInBot/i],
+  ['Discordbot', /Discordbot/i],
+  ['TelegramBot', /TelegramBot/i],
+  ['WhatsApp', /WhatsApp/i],
+  ['Googlebot', /Googlebot|Google-InspectionTool|AdsBot-Google/i],
+  ['Bingbot', /bingbot|BingPreview/i],
+  ['DuckDuckBot', /DuckDuckBot/i],
+  ['Baiduspider', /Baiduspider/i],
+  ['YandexBot', /YandexBot/i],
+  ['Applebot', /Applebot/i],
+  // Generic markers most other crawlers carry
+  ['Other bot', /bot\b|crawler|spider|crawling|headlesschrome/i]
+];
+
+// Checked in order: Chromium based browsers all claim to be Chrome and Safari
+const BROWSERS = [
+  ['Edge', /(?:Edg|EdgA|EdgiOS|Edge)\/([\d.]+)/],
+  ['Opera', /(?:OPR|OPiOS|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari\//],
+  ['Internet Explorer', /(?:MSIE |Trident\/.*rv:)([\d.]+)/]
+];
+
+const OPERATING_SYSTEMS = [
+  // iOS must be checked before macOS, iPads and iPhones mention "Mac OS X"
+  ['iOS', /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android ([\d.]+)/],
+  ['Android', /Android/],
+  ['Windows', /Windows NT ([\d.]+)/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X ([\d_.]+)/],
+  ['macOS', /Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux|X11/]
+];
+
+// Marketing names of Windows NT versions
+const WINDOWS_VERSIONS = {
+  '10.0': '10',
+  '6.3': '8.1',
+  '6.2': '8',
+  '6.1': '7'
+};
+
+const matchFirst = (list, userAgent) => {
+  for (const [name, pattern] of list) {
+    const match = userAgent.match(pattern);
+    if (match) {
+      return { name, version: match[1] ? match[1].replace(/_/g, '.') : null };
+    }
+  }
+  return null;
+};
+
+const getDevice = (userAgent, isBot) => {
+  if (isBot) return 'bot';
+  // Android tablets omit the "Mobile" token
+  if (/iPad|Tablet/.test(userAgent) || (/Android/.test(userAgent) && !/Mobile/.test(userAgent))) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Android/.test(userAgent)) return 'mobile';
+  return 'desktop';
+};
+
+/**
+ * Parse a user agent string
+ * @param {string} userAgent - Raw User-Agent header, may be missing
+ * @returns {Object} { browser, browserVersion, os, osVersion, device, isBot, botName }
+ */
+const parseUserAgent = (userAgent) => {
+  const ua = typeof userAgent === 'string' ? userAgent : '';
+
+  const bot = matchFirst(BOTS, ua);
+  const browser = matchFirst(BROWSERS, ua);
+  const os = matchFirst(OPERATING_SYSTEMS, ua);
+
+  let osVersion = os ? os.version : null;
+  if (os && os.name === 'Windows' && osVersion) {
+    osVersion = WINDOWS_VERSIONS[osVersion] || osVersion;
+  }
+
+  return {
+    browser: bot ? bot.name : (browser ? browser.name : 'Other'),
+    browserVersion: !bot && browser ? browser.version : null,
+    os: os ? os.name : 'Other',
+    osVersion,
+    device: getDevice(ua, Boolean(bot)),
+    isBot: Boolean(bot),
+    botName: bot ? bot.name : null
+  };
+};
+
+module.exports = {
+  OS_NAMES,
+  DEVICE_TYPES,
+  parseUserAgent
+};
@@ -0,0 +1,25 @@
+/**
+ * Visitor Fingerprint
+ * Privacy-preserving visitor id used to count unique visitors
+ * Features:
+ * - Salted SHA-256 of IP and user agent, never reversible to either
+ * - Rotates daily: the UTC date is part of the hash, so a visitor
+ *   cannot be followed across days
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * @param {string} ip - Client IP address
+ * @param {string} userAgent - Raw User-Agent header, may be missing
+ * @param {Date} date - Time of the visit, picks the daily rotation
+ * @returns {string} Visitor id
+ */
+const visitorId = (ip, userAgent, date = new Date()) => crypto
+  .createHash('sha256')
+  .update([config.visitorSalt, date.toISOString().split('T')[0], ip || '', userAgent || ''].join('|'))
+  .digest('hex')
+  .slice(0, 32);
+
+module.exports = { visitorId };
@@ -0,0 +1,112 @@
+/**
+ * HTML Pages
+ * Small server-rendered pages shown to visitors instead of a redirect
+ * Features:
+ * - Shared minimal layout
+ * - HTML escaping of all dynamic values
+ * - Password unlock form
+ * - Branded expired, not found and not yet live pages
+ * - Link preview showing where a link goes before following it
+ */
+
+const config = require('../config/config');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 28rem; margin: 4rem auto; padding: 0 1rem; color: #222; }
+    input, button { font-size: 1rem; padding: 0.5rem; }
+    .error { color: #b00020; }
+    .brand { color: #666; font-size: 0.875rem; }
+  </style>
+</head>
+<body>
+<p class="brand">${escapeHtml(config.brandName)}</p>
+${body}
+</body>
+</html>`;
+
+/**
+ * Password form for protected links
+ * @param {string} code - Short URL code, used as the form target
+ * @param {string} error - Optional message from a failed attempt
+ * @param {string} query - Optional query string to keep on the form target, e.g. the QR scan marker
+ */
+const unlockPage = (code, error, query) => layout('Protected link', `
+  <h1>This link is password protected</h1>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  <form method="POST" action="/${encodeURIComponent(code)}${query ? `?${escapeHtml(query)}` : ''}">
+    <input type="password" name="password" placeholder="Password" required autofocus>
+    <button type="submit">Continue</button>
+  </form>`);
+
+/**
+ * Shown for codes that never existed or were deleted
+ */
+const notFoundPage = () => layout('Link not found', `
+  <h1>This link doesn't exist</h1>
+  <p>Check the address for typos, or ask whoever shared it for a new link.</p>`);
+
+/**
+ * Shown for expired links without a fallback destination
+ */
+const expiredPage = () => layout('Link expired', `
+  <h1>This link has expired</h1>
+  <p>It is no longer available. Ask whoever shared it for a new link.</p>`);
+
+/**
+ * Shown before a scheduled link goes live
+ * @param {Date} activatesAt - Launch date, rendered in UTC
+ */
+const notYetActivePage = (activatesAt) => {
+  const date = new Date(activatesAt);
+  return layout('Link not live yet', `
+  <h1>This link isn't live yet</h1>
+  <p>It opens on <time datetime="${escapeHtml(date.toISOString())}">${escapeHtml(date.toUTCString())}</time>.</p>`);
+};
+
+/**
+ * Where a link goes, with a button to follow it
+ * Continuing posts back to the link, which counts the click and redirects
+ * @param {Object} preview - { code, query, title, destination, varies, createdAt, isProtected }
+ * where a protected link's destination is never shown
+ */
+const previewPage = ({ code, query, title, destination, varies, createdAt, isProtected }) => {
+  const date = new Date(createdAt);
+  const target = `/${encodeURIComponent(code)}${query ? `?${escapeHtml(query)}` : ''}`;
+  return layout(title || 'Link preview', `
+  <h1>${escapeHtml(title || 'Where this link goes')}</h1>
+  ${isProtected
+    ? '<p>This link is password protected, its destination is shown once unlocked.</p>'
+    : `<p>This link goes to:</p>
+  <p><code>${escapeHtml(destination)}</code></p>
+  ${varies ? '<p>Where you land can depend on your device.</p>' : ''}`}
+  <p>Created on <time datetime="${escapeHtml(date.toISOString())}">${escapeHtml(date.toUTCString())}</time>.</p>
+  ${isProtected
+    ? `<p><a href="${target}">Continue</a></p>`
+    : `<form method="POST" action="${target}">
+    <button type="submit">Continue</button>
+  </form>`}`);
+};
+
+module.exports = {
+  escapeHtml,
+  layout,
+  unlockPage,
+  notFoundPage,
+  expiredPage,
+  notYetActivePage,
+  previewPage
+};
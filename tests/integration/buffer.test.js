@@ -0,0 +1,197 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const User = require('../../src/models/User');
+const Click = require('../../src/models/Click');
+const ClickRollup = require('../../src/models/ClickRollup');
+const config = require('../../src/config/config');
+const urlService = require('../../src/services/urlService');
+const {
+  flushClicks,
+  runClickRecovery,
+  startClickFlush,
+  stopClickFlush
+} = require('../../src/jobs/clickFlush');
+
+const MINUTE_MS = 60 * 1000;
+
+let mongoServer;
+let token;
+let adminToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'buffer@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+
+  const adminResponse = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'buffer-admin@example.com',
+      password: 'password123'
+    });
+  adminToken = adminResponse.body.token;
+  await User.updateOne({ email: 'buffer-admin@example.com' }, { role: 'admin' });
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await Click.deleteMany({});
+  await ClickRollup.deleteMany({});
+  // Flushed by hand in these tests
+  config.clickFlushIntervalMs = 60 * MINUTE_MS;
+  config.clickQueueMax = 10000;
+  await startClickFlush();
+});
+
+afterEach(async () => {
+  await stopClickFlush();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const createLink = (body) => request(app)
+  .post('/urls')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ longUrl: 'https://example.com/buffered', ...body });
+
+describe('Buffered click tracking', () => {
+  it('should redirect before the click is written and count it on flush', async () => {
+    await createLink({ customAlias: 'buffered' });
+
+    const response = await request(app).get('/buffered');
+    expect(response.status).toBe(302);
+    expect(await Click.countDocuments({ urlCode: 'buffered' })).toBe(0);
+
+    expect(await flushClicks()).toBe(1);
+
+    const url = await Url.findOne({ urlCode: 'buffered' });
+    expect(url.clicks).toBe(1);
+    expect(url.lastClickedAt).not.toBeNull();
+    expect(await Click.countDocuments({ urlCode: 'buffered', pending: true })).toBe(0);
+    expect(await ClickRollup.countDocuments({ urlCode: 'buffered', clicks: 1 })).toBe(2);
+  });
+
+  it('should keep enforcing click limits without buffering', async () => {
+    await createLink({ customAlias: 'capped', maxClicks: 1 });
+
+    expect((await request(app).get('/capped')).status).toBe(302);
+    expect((await request(app).get('/capped')).status).toBe(410);
+    expect(await Click.countDocuments({ urlCode: 'capped' })).toBe(1);
+  });
+
+  it('should flush when the queue is full instead of growing', async () => {
+    config.clickQueueMax = 2;
+    await createLink({ customAlias: 'busy' });
+
+    await request(app).get('/busy');
+    await request(app).get('/busy');
+    expect(await Click.countDocuments({ urlCode: 'busy' })).toBe(0);
+
+    await request(app).get('/busy');
+    expect(await Click.countDocuments({ urlCode: 'busy' })).toBe(2);
+
+    await flushClicks();
+    expect((await Url.findOne({ urlCode: 'busy' })).clicks).toBe(3);
+  });
+
+  it('should write queued clicks when stopped', async () => {
+    await createLink({ customAlias: 'shutdown' });
+    await request(app).get('/shutdown');
+
+    await stopClickFlush();
+
+    expect((await Url.findOne({ urlCode: 'shutdown' })).clicks).toBe(1);
+  });
+
+  it('should count clicks left pending by a crashed flush', async () => {
+    await createLink({ customAlias: 'crashed' });
+    const url = await Url.findOne({ urlCode: 'crashed' });
+    const timestamp = new Date(Date.now() - 10 * MINUTE_MS);
+    const pendingSince = new Date(Date.now() - 10 * MINUTE_MS);
+    // One click counted normally, then a flush that died after storing two more
+    await Url.updateOne({ _id: url._id }, { clicks: 1 });
+    await Click.create([
+      { urlCode: 'crashed', userId: url.userId, timestamp },
+      { urlCode: 'crashed', userId: url.userId, timestamp, pending: true, pendingSince },
+      { urlCode: 'crashed', userId: url.userId, timestamp, pending: true, pendingSince, isBot: true }
+    ]);
+
+    expect(await runClickRecovery()).toBe(2);
+
+    const recovered = await Url.findOne({ urlCode: 'crashed' });
+    expect(recovered.clicks).toBe(2);
+    expect(recovered.botClicks).toBe(1);
+    expect(await Click.countDocuments({ urlCode: 'crashed', pending: true })).toBe(0);
+    const rollups = await ClickRollup.find({ urlCode: 'crashed' });
+    expect(rollups.map(rollup => rollup.clicks)).toEqual([1, 1]);
+
+    // Safe to run again
+    expect(await runClickRecovery()).toBe(0);
+    expect((await Url.findOne({ urlCode: 'crashed' })).clicks).toBe(2);
+  });
+
+  it('should leave pending clicks of a flush still in flight alone', async () => {
+    await createLink({ customAlias: 'in-flight' });
+    const url = await Url.findOne({ urlCode: 'in-flight' });
+    // An old click a live flush stored a moment ago, e.g. a retried batch after an outage
+    const timestamp = new Date(Date.now() - 10 * MINUTE_MS);
+    const [click] = await Click.create([
+      { urlCode: 'in-flight', userId: url.userId, timestamp, pending: true, pendingSince: new Date() }
+    ]);
+
+    expect(await runClickRecovery()).toBe(0);
+
+    // A retry of its batch leaves it to the flush that stored it
+    await urlService.writeClicks([click.toObject()]);
+    await runClickRecovery(new Date(Date.now() + 10 * MINUTE_MS));
+    expect((await Url.findOne({ urlCode: 'in-flight' })).clicks).toBe(1);
+  });
+
+  it('should finish a batch whose counting failed partway through exactly once', async () => {
+    await createLink({ customAlias: 'partial' });
+    await request(app).get('/partial');
+
+    // Link counters written, rollups not
+    const bulkWrite = jest.spyOn(ClickRollup, 'bulkWrite').mockRejectedValueOnce(new Error('Rollups unavailable'));
+    await flushClicks();
+    bulkWrite.mockRestore();
+
+    expect((await Url.findOne({ urlCode: 'partial' })).clicks).toBe(1);
+    expect(await ClickRollup.countDocuments({ urlCode: 'partial' })).toBe(0);
+    expect(await Click.countDocuments({ urlCode: 'partial', pending: true })).toBe(1);
+
+    expect(await runClickRecovery(new Date(Date.now() + 10 * MINUTE_MS))).toBe(1);
+
+    expect((await Url.findOne({ urlCode: 'partial' })).clicks).toBe(1);
+    const rollups = await ClickRollup.find({ urlCode: 'partial' });
+    expect(rollups.map(rollup => rollup.clicks)).toEqual([1, 1]);
+    expect(await Click.countDocuments({ urlCode: 'partial', pending: true })).toBe(0);
+    expect(await runClickRecovery(new Date(Date.now() + 20 * MINUTE_MS))).toBe(0);
+  });
+
+  it('should report the queue to admins', async () => {
+    await createLink({ customAlias: 'status' });
+    await request(app).get('/status');
+
+    const response = await request(app)
+      .get('/admin/jobs/click-flush')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.scheduled).toBe(true);
+    expect(response.body.data.queued).toBe(1);
+  });
+});
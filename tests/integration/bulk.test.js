@@ -0,0 +1,134 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const Click = require('../../src/models/Click');
+const ClickRollup = require('../../src/models/ClickRollup');
+
+let mongoServer;
+let token;
+let otherToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'bulk@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+
+  const otherResponse = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'other-bulk@example.com',
+      password: 'password123'
+    });
+  otherToken = otherResponse.body.token;
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await Click.deleteMany({});
+  await ClickRollup.deleteMany({});
+
+  const links = [
+    { token, alias: 'old-a', tags: ['spring'] },
+    { token, alias: 'old-b', tags: ['spring', 'email'] },
+    { token, alias: 'keep', tags: ['summer'] },
+    { token: otherToken, alias: 'theirs', tags: ['spring'] }
+  ];
+  for (const link of links) {
+    await request(app)
+      .post('/urls')
+      .set('Authorization', `Bearer ${link.token}`)
+      .send({ longUrl: `https://example.com/${link.alias}`, customAlias: link.alias, tags: link.tags });
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Bulk operations', () => {
+  it('should report what a delete would do in dry-run mode', async () => {
+    const response = await request(app)
+      .post('/urls/bulk/delete')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ codes: ['old-a', 'missing', 'theirs'], dryRun: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.dryRun).toBe(true);
+    expect(response.body.succeeded).toBe(1);
+    expect(response.body.results).toEqual([
+      { urlCode: 'old-a', success: true, action: 'delete' },
+      { urlCode: 'missing', success: false, error: 'No such URL' },
+      { urlCode: 'theirs', success: false, error: 'Not authorized' }
+    ]);
+    expect(await Url.countDocuments({})).toBe(4);
+  });
+
+  it('should move owned links matching a filter to the trash', async () => {
+    await request(app).get('/old-a');
+
+    const response = await request(app)
+      .post('/urls/bulk/delete')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ filter: { tag: 'spring' } });
+
+    expect(response.body.results.map(result => result.urlCode).sort()).toEqual(['old-a', 'old-b']);
+    expect((await Url.findOne({ urlCode: 'old-a' })).deletedAt).not.toBeNull();
+    expect((await Url.findOne({ urlCode: 'theirs' })).deletedAt).toBeNull();
+    // Analytics are kept until the link is purged
+    expect(await Click.countDocuments({ urlCode: 'old-a' })).toBe(1);
+
+    // Deleted links stop redirecting right away
+    const redirect = await request(app).get('/old-a');
+    expect(redirect.status).toBe(404);
+  });
+
+  it('should extend expiry and retag links', async () => {
+    await Url.updateOne({ urlCode: 'old-a' }, { expiresAt: new Date(Date.now() - 1000), isExpired: true });
+
+    const response = await request(app)
+      .post('/urls/bulk/update')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ codes: ['old-a', 'old-b'], expiresIn: 3600, addTags: ['archive'], removeTags: ['spring'] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.succeeded).toBe(2);
+
+    const url = await Url.findOne({ urlCode: 'old-b' });
+    expect(url.tags).toEqual(['email', 'archive']);
+    const revived = await Url.findOne({ urlCode: 'old-a' });
+    expect(revived.isExpired).toBe(false);
+    expect(revived.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should report changes without applying them in dry-run mode', async () => {
+    const response = await request(app)
+      .post('/urls/bulk/update')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ filter: { tag: 'summer' }, tags: ['autumn'], dryRun: true });
+
+    expect(response.body.results).toEqual([
+      { urlCode: 'keep', success: true, changes: { tags: { from: ['summer'], to: ['autumn'] } } }
+    ]);
+    const url = await Url.findOne({ urlCode: 'keep' });
+    expect(url.tags).toEqual(['summer']);
+  });
+
+  it('should require either codes or a filter', async () => {
+    const response = await request(app)
+      .post('/urls/bulk/delete')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const User = require('../../src/models/User');
+const ReservedCode = require('../../src/models/ReservedCode');
+const urlService = require('../../src/services/urlService');
+const { LinkCache } = require('../../src/cache/linkCache');
+const MemoryStore = require('../../src/cache/memoryStore');
+
+let mongoServer;
+let token;
+let adminToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'cache@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+
+  const adminResponse = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'cache-admin@example.com',
+      password: 'password123'
+    });
+  adminToken = adminResponse.body.token;
+  await User.updateOne({ email: 'cache-admin@example.com' }, { role: 'admin' });
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await ReservedCode.deleteMany({});
+  await urlService.cache.clear();
+  urlService.cache.resetStats();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const createLink = (body) => request(app)
+  .post('/urls')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ longUrl: 'https://example.com/cached', ...body });
+
+describe('Link cache', () => {
+  it('should stop redirecting a deleted link that was cached', async () => {
+    await createLink({ customAlias: 'cached' });
+    expect((await request(app).get('/cached')).status).toBe(302);
+
+    await request(app)
+      .delete('/urls/cached')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect((await request(app).get('/cached')).status).toBe(404);
+  });
+
+  it('should serve an edited destination right away', async () => {
+    await createLink({ customAlias: 'edited' });
+    await request(app).get('/edited');
+
+    await request(app)
+      .patch('/urls/edited')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ longUrl: 'https://example.com/new' });
+
+    const response = await request(app).get('/edited');
+    expect(response.headers.location).toBe('https://example.com/new');
+  });
+
+  it('should forget an unknown code once it is created', async () => {
+    expect((await request(app).get('/soon')).status).toBe(404);
+    expect(await urlService.cache.get('soon')).toEqual({ missing: true });
+
+    await createLink({ customAlias: 'soon' });
+
+    expect((await request(app).get('/soon')).status).toBe(302);
+  });
+
+  it('should report hits and misses to admins', async () => {
+    await createLink({ customAlias: 'counted' });
+    await request(app).get('/counted');
+    await request(app).get('/counted');
+
+    const denied = await request(app)
+      .get('/admin/cache')
+      .set('Authorization', `Bearer ${token}`);
+    expect(denied.status).toBe(403);
+
+    const response = await request(app)
+      .get('/admin/cache')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.backend).toBe('memory');
+    expect(response.body.data.misses).toBe(1);
+    expect(response.body.data.hits).toBe(1);
+    expect(response.body.data.hitRate).toBe(0.5);
+  });
+
+  it('should keep at most maxEntries links and honour the TTL', async () => {
+    const cache = new LinkCache(new MemoryStore({ maxEntries: 2 }), { ttlMs: 50 });
+    await cache.set('a', { _id: 'a', urlCode: 'a' });
+    await cache.set('b', { _id: 'b', urlCode: 'b' });
+    await cache.set('c', { _id: 'c', urlCode: 'c' });
+
+    expect(await cache.get('a')).toBeNull();
+    expect(cache.stats().size).toBe(2);
+    expect(cache.stats().evictions).toBe(1);
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    expect(await cache.get('c')).toBeNull();
+  });
+});
@@ -0,0 +1,188 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const Click = require('../../src/models/Click');
+const ClickRollup = require('../../src/models/ClickRollup');
+const Campaign = require('../../src/models/Campaign');
+
+let mongoServer;
+let token;
+let otherToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'campaigns@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+
+  const otherResponse = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'other-campaigns@example.com',
+      password: 'password123'
+    });
+  otherToken = otherResponse.body.token;
+});
+
+beforeEach(async () => {
+  await Campaign.deleteMany({});
+  await Url.deleteMany({});
+  await Click.deleteMany({});
+  await ClickRollup.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const createCampaign = async (name) => {
+  const response = await request(app)
+    .post('/campaigns')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name, description: `${name} links` });
+  return response.body.data._id;
+};
+
+describe('Campaigns API', () => {
+  it('should create, list, rename and delete campaigns', async () => {
+    const created = await request(app)
+      .post('/campaigns')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Spring sale' });
+
+    expect(created.status).toBe(201);
+    const id = created.body.data._id;
+
+    await request(app)
+      .post('/urls')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ longUrl: 'https://example.com/spring', customAlias: 'spring', campaignId: id });
+
+    const list = await request(app)
+      .get('/campaigns')
+      .set('Authorization', `Bearer ${token}`);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0].links).toBe(1);
+
+    const renamed = await request(app)
+      .patch(`/campaigns/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Spring sale 2024' });
+    expect(renamed.body.data.name).toBe('Spring sale 2024');
+
+    const deleted = await request(app)
+      .delete(`/campaigns/${id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(deleted.status).toBe(200);
+
+    // Links outlive their campaign
+    const url = await Url.findOne({ urlCode: 'spring' });
+    expect(url.campaignId).toBeNull();
+  });
+
+  it('should reject duplicate campaign names', async () => {
+    await createCampaign('Launch');
+
+    const response = await request(app)
+      .post('/campaigns')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Launch' });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should not expose campaigns of other users', async () => {
+    const id = await createCampaign('Private');
+
+    const response = await request(app)
+      .get(`/campaigns/${id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+    expect(response.status).toBe(403);
+
+    const link = await request(app)
+      .post('/urls')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ longUrl: 'https://example.com/sneaky', campaignId: id });
+    expect(link.status).toBe(400);
+  });
+
+  it('should assign tags and campaigns on create, bulk and update', async () => {
+    const id = await createCampaign('Newsletter');
+
+    const created = await request(app)
+      .post('/urls')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ longUrl: 'https://example.com/a', customAlias: 'tag-a', tags: ['Email', ' email ', 'q1'] });
+    expect(created.body.tags).toEqual(['email', 'q1']);
+
+    await request(app)
+      .post('/urls/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        urls: [
+          { longUrl: 'https://example.com/b', customAlias: 'tag-b', tags: ['q1'], campaignId: id }
+        ]
+      });
+
+    const updated = await request(app)
+      .patch('/urls/tag-a')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ campaignId: id, tags: ['email'] });
+    expect(updated.body.data.tags).toEqual(['email']);
+    expect(updated.body.data.campaignId).toBe(id);
+
+    const byTag = await request(app)
+      .get('/urls?tag=Q1')
+      .set('Authorization', `Bearer ${token}`);
+    expect(byTag.body.data.map(url => url.urlCode)).toEqual(['tag-b']);
+
+    const byCampaign = await request(app)
+      .get(`/urls?campaignId=${id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(byCampaign.body.pagination.total).toBe(2);
+  });
+
+  it('should aggregate stats across the links of a campaign', async () => {
+    const id = await createCampaign('Docs');
+
+    for (const alias of ['docs-a', 'docs-b']) {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ longUrl: `https://example.com/${alias}`, customAlias: alias, campaignId: id });
+    }
+    await request(app)
+      .post('/urls')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ longUrl: 'https://example.com/elsewhere', customAlias: 'elsewhere' });
+
+    await request(app).get('/docs-a').set('Referer', 'https://google.com');
+    await request(app).get('/docs-a');
+    await request(app).get('/docs-b');
+    await request(app).get('/elsewhere');
+
+    const response = await request(app)
+      .get(`/campaigns/${id}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalClicks).toBe(3);
+    expect(response.body.periodClicks).toBe(3);
+    const today = new Date().toISOString().split('T')[0];
+    expect(response.body.clicksByDate[today]).toBe(3);
+    expect(response.body.referrerStats).toEqual({ Direct: 2, 'https://google.com': 1 });
+    expect(response.body.links.map(link => [link.urlCode, link.periodClicks])).toEqual([
+      ['docs-a', 2],
+      ['docs-b', 1]
+    ]);
+  });
+});
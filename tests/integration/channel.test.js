@@ -0,0 +1,101 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const Click = require('../../src/models/Click');
+const ClickRollup = require('../../src/models/ClickRollup');
+
+let mongoServer;
+let token;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'channel@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await Click.deleteMany({});
+  await ClickRollup.deleteMany({});
+
+  await request(app)
+    .post('/urls')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ longUrl: 'https://example.com/event', customAlias: 'poster', forwardQuery: true });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('QR scan channels', () => {
+  it('should encode a scan marker and variant into QR codes', async () => {
+    const plain = await request(app)
+      .get('/urls/poster/qr')
+      .set('Authorization', `Bearer ${token}`);
+    expect(plain.body.target).toBe(`${plain.body.shortUrl}?qr`);
+
+    const lobby = await request(app)
+      .get('/urls/poster/qr?variant=Lobby')
+      .set('Authorization', `Bearer ${token}`);
+    expect(lobby.body.target).toBe(`${lobby.body.shortUrl}?qr=lobby`);
+
+    const invalid = await request(app)
+      .get('/urls/poster/qr?variant=not%20valid')
+      .set('Authorization', `Bearer ${token}`);
+    expect(invalid.status).toBe(400);
+  });
+
+  it('should record the channel of each visit and break stats down by it', async () => {
+    await request(app).get('/poster?qr');
+    await request(app).get('/poster?qr=lobby');
+    await request(app).get('/poster?qr=lobby');
+    await request(app).get('/poster').set('Referer', 'https://social.example.com/post');
+    await request(app).get('/poster');
+
+    const response = await request(app)
+      .get('/urls/poster/stats')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.channelStats).toEqual({ qr: 3, direct: 1, referral: 1 });
+    expect(response.body.qrVariantStats).toEqual({ lobby: 2, default: 1 });
+  });
+
+  it('should not forward the scan marker to the destination', async () => {
+    const response = await request(app).get('/poster?qr=lobby&ref=flyer');
+
+    expect(response.status).toBe(302);
+    expect(response.header.location).toBe('https://example.com/event?ref=flyer');
+  });
+
+  it('should keep the scan marker through the password form', async () => {
+    await request(app)
+      .patch('/urls/poster')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'secret' });
+
+    const form = await request(app).get('/poster?qr=lobby');
+    expect(form.text).toContain('action="/poster?qr=lobby"');
+
+    const unlocked = await request(app)
+      .post('/poster?qr=lobby')
+      .type('form')
+      .send({ password: 'secret' });
+    expect(unlocked.status).toBe(303);
+
+    const click = await Click.findOne({ urlCode: 'poster' });
+    expect(click.channel).toBe('qr');
+    expect(click.qrVariant).toBe('lobby');
+  });
+});
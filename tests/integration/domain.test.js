@@ -0,0 +1,198 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const Domain = require('../../src/models/Domain');
+const domainService = require('../../src/services/domainService');
+
+let mongoServer;
+let token;
+let otherToken;
+// Stub DNS: record name -> TXT records
+let txtRecords;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'domains@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+
+  const otherResponse = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'other-domains@example.com',
+      password: 'password123'
+    });
+  otherToken = otherResponse.body.token;
+
+  domainService.useResolver({
+    resolveTxt: async (name) => {
+      if (!txtRecords[name]) {
+        throw Object.assign(new Error(`queryTxt ENOTFOUND ${name}`), { code: 'ENOTFOUND' });
+      }
+      return txtRecords[name];
+    }
+  });
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await Domain.deleteMany({});
+  domainService.hosts.clear();
+  txtRecords = {};
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const addDomain = (hostname, as = token) => request(app)
+  .post('/domains')
+  .set('Authorization', `Bearer ${as}`)
+  .send({ hostname });
+
+const verifyDomain = (hostname, as = token) => request(app)
+  .post(`/domains/${hostname}/verify`)
+  .set('Authorization', `Bearer ${as}`);
+
+// Register and verify a domain through the stub resolver
+const addVerifiedDomain = async (hostname, as = token) => {
+  const added = await addDomain(hostname, as);
+  const { name, value } = added.body.data.verification;
+  txtRecords[name] = [[value]];
+  await verifyDomain(hostname, as);
+};
+
+const createLink = (body) => request(app)
+  .post('/urls')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ longUrl: 'https://example.com/branded', ...body });
+
+describe('Custom domains', () => {
+  it('should verify a domain once its TXT record is published', async () => {
+    const added = await addDomain('Go.Example.com');
+    expect(added.status).toBe(201);
+    expect(added.body.data.hostname).toBe('go.example.com');
+    expect(added.body.data.verified).toBe(false);
+    expect(added.body.data.verification.name).toBe('_urlshortener.go.example.com');
+
+    const early = await verifyDomain('go.example.com');
+    expect(early.status).toBe(400);
+    expect(early.body.message).toBe('Verification record not found');
+
+    // Long records come back in chunks
+    const { value } = added.body.data.verification;
+    txtRecords['_urlshortener.go.example.com'] = [['v=spf1 -all'], [value.slice(0, 10), value.slice(10)]];
+
+    const verified = await verifyDomain('go.example.com');
+    expect(verified.status).toBe(200);
+    expect(verified.body.data.verified).toBe(true);
+
+    const list = await request(app)
+      .get('/domains')
+      .set('Authorization', `Bearer ${token}`);
+    expect(list.body.data.map(domain => domain.hostname)).toEqual(['go.example.com']);
+  });
+
+  it('should reject invalid, duplicate and foreign domains', async () => {
+    expect((await addDomain('not a domain')).status).toBe(400);
+    expect((await addDomain('localhost')).status).toBe(400);
+
+    await addDomain('go.example.com');
+    expect((await addDomain('go.example.com')).status).toBe(409);
+    expect((await verifyDomain('go.example.com', otherToken)).status).toBe(403);
+    expect((await verifyDomain('missing.example.com')).status).toBe(404);
+  });
+
+  it('should hand a domain to the user who verifies it', async () => {
+    // Claimed first by someone who can't publish the record
+    const squatted = await addDomain('go.example.com', otherToken);
+    expect(squatted.status).toBe(201);
+
+    await addVerifiedDomain('go.example.com');
+
+    const list = await request(app)
+      .get('/domains')
+      .set('Authorization', `Bearer ${token}`);
+    expect(list.body.data[0].verified).toBe(true);
+    expect(await Domain.countDocuments({ hostname: 'go.example.com' })).toBe(1);
+
+    expect((await addDomain('go.example.com', otherToken)).status).toBe(409);
+    expect((await verifyDomain('go.example.com', otherToken)).status).toBe(403);
+  });
+
+  it('should only create links on verified domains of the user', async () => {
+    await addDomain('go.example.com');
+
+    const unverified = await createLink({ domain: 'go.example.com' });
+    expect(unverified.status).toBe(400);
+    expect(unverified.body.error).toContain('Domain is not verified');
+
+    await addVerifiedDomain('links.other.com', otherToken);
+    expect((await createLink({ domain: 'links.other.com' })).status).toBe(400);
+  });
+
+  it('should build the short URL and QR code from the chosen domain', async () => {
+    await addVerifiedDomain('go.example.com');
+
+    const created = await createLink({ domain: 'go.example.com', customAlias: 'promo' });
+    expect(created.status).toBe(200);
+    expect(created.body.shortUrl).toBe('https://go.example.com/promo');
+    expect(created.body.domain).toBe('go.example.com');
+    expect(created.body.urlCode).toBe('go.example.com:promo');
+
+    const qr = await request(app)
+      .get('/urls/go.example.com:promo/qr')
+      .set('Authorization', `Bearer ${token}`);
+    expect(qr.body.shortUrl).toBe('https://go.example.com/promo');
+    expect(qr.body.target).toContain('https://go.example.com/promo');
+  });
+
+  it('should resolve the same code per domain from the Host header', async () => {
+    await addVerifiedDomain('go.example.com');
+    await createLink({ customAlias: 'promo', longUrl: 'https://example.com/default' });
+    await createLink({ domain: 'go.example.com', customAlias: 'promo', longUrl: 'https://example.com/custom' });
+
+    const onDefault = await request(app).get('/promo');
+    expect(onDefault.headers.location).toBe('https://example.com/default');
+
+    const onCustom = await request(app).get('/promo').set('Host', 'go.example.com');
+    expect(onCustom.headers.location).toBe('https://example.com/custom');
+
+    const unknown = await request(app).get('/other').set('Host', 'go.example.com');
+    expect(unknown.status).toBe(404);
+
+    // Link keys of custom domains are not paths on the default domain
+    expect((await request(app).get('/go.example.com:promo')).status).toBe(404);
+    expect((await request(app).get('/go.example.com:promo/preview')).status).toBe(404);
+    expect((await request(app).post('/go.example.com:promo')).status).toBe(404);
+
+    const clicks = await Url.findOne({ urlCode: 'go.example.com:promo' });
+    expect(clicks.clicks).toBe(1);
+  });
+
+  it('should not remove a domain that still has links', async () => {
+    await addVerifiedDomain('go.example.com');
+    await createLink({ domain: 'go.example.com', customAlias: 'kept' });
+
+    const refused = await request(app)
+      .delete('/domains/go.example.com')
+      .set('Authorization', `Bearer ${token}`);
+    expect(refused.status).toBe(409);
+
+    await Url.deleteMany({ domain: 'go.example.com' });
+    const removed = await request(app)
+      .delete('/domains/go.example.com')
+      .set('Authorization', `Bearer ${token}`);
+    expect(removed.status).toBe(200);
+    expect(await Domain.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const User = require('../../src/models/User');
+const ArchivedUrl = require('../../src/models/ArchivedUrl');
+const ReservedCode = require('../../src/models/ReservedCode');
+const config = require('../../src/config/config');
+const linkEvents = require('../../src/utils/linkEvents');
+const urlService = require('../../src/services/urlService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mongoServer;
+let token;
+let adminToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'expiry@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+
+  const adminResponse = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'admin@example.com',
+      password: 'password123'
+    });
+  adminToken = adminResponse.body.token;
+  await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await ArchivedUrl.deleteMany({});
+  await ReservedCode.deleteMany({});
+  config.archiveAfterDays = null;
+
+  await request(app)
+    .post('/urls')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ longUrl: 'https://example.com/promo', customAlias: 'promo', expiresIn: 3600 });
+  await request(app)
+    .post('/urls')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ longUrl: 'https://example.com/evergreen', customAlias: 'evergreen' });
+});
+
+afterEach(() => {
+  linkEvents.removeAllListeners();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Expiry sweep', () => {
+  it('should flag expired links nobody visits and emit an event for each', async () => {
+    const events = [];
+    linkEvents.on('expired', event => events.push(event));
+
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    expect(await urlService.sweepExpired(later)).toBe(1);
+
+    const url = await Url.findOne({ urlCode: 'promo' });
+    expect(url.isExpired).toBe(true);
+    expect(url.expiredAt.getTime()).toBe(later.getTime());
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ urlCode: 'promo', reason: 'date' });
+
+    // Already flagged links are left alone
+    expect(await urlService.sweepExpired(later)).toBe(0);
+    expect(events).toHaveLength(1);
+  });
+
+  it('should flag links whose click limit is used up', async () => {
+    await Url.updateOne({ urlCode: 'evergreen' }, { maxClicks: 5, clicks: 5 });
+    const events = [];
+    linkEvents.on('expired', event => events.push(event));
+
+    expect(await urlService.sweepExpired()).toBe(1);
+    expect(events[0]).toMatchObject({ urlCode: 'evergreen', reason: 'clicks' });
+  });
+
+  it('should filter links whose click limit is used up as expired', async () => {
+    await Url.updateOne({ urlCode: 'evergreen' }, { maxClicks: 5, clicks: 5, isExpired: true });
+
+    const expired = await request(app)
+      .get('/urls?status=expired')
+      .set('Authorization', `Bearer ${token}`);
+    const active = await request(app)
+      .get('/urls?status=active')
+      .set('Authorization', `Bearer ${token}`);
+    expect(expired.body.data.map(url => url.urlCode)).toEqual(['evergreen']);
+    expect(active.body.data.map(url => url.urlCode)).toEqual(['promo']);
+
+    const bulk = await request(app)
+      .post('/urls/bulk/delete')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ filter: { expired: true }, dryRun: true });
+    expect(bulk.body.results.map(result => result.urlCode)).toEqual(['evergreen']);
+  });
+
+  it('should only archive when a grace period is configured', async () => {
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    await urlService.sweepExpired(later);
+    expect(await urlService.archiveExpired(new Date(later.getTime() + 30 * DAY_MS))).toBe(0);
+
+    config.archiveAfterDays = 7;
+    // Still within the grace period
+    expect(await urlService.archiveExpired(new Date(later.getTime() + 6 * DAY_MS))).toBe(0);
+    expect(await urlService.archiveExpired(new Date(later.getTime() + 8 * DAY_MS))).toBe(1);
+
+    expect(await Url.findOne({ urlCode: 'promo' })).toBeNull();
+    const archived = await ArchivedUrl.findOne({ urlCode: 'promo' });
+    expect(archived.longUrl).toBe('https://example.com/promo');
+    expect(archived.snapshot.password).toBeUndefined();
+    expect(await ReservedCode.exists({ urlCode: 'promo', reason: 'archived' })).toBeTruthy();
+  });
+
+  it('should keep answering archived links as expired', async () => {
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    await urlService.sweepExpired(later);
+    config.archiveAfterDays = 7;
+    expect(await urlService.archiveExpired(new Date(later.getTime() + 8 * DAY_MS))).toBe(1);
+
+    expect((await request(app).get('/promo')).status).toBe(410);
+
+    await User.updateOne({ email: 'expiry@example.com' }, { defaultFallbackUrl: 'https://example.com/more' });
+    const followed = await request(app).get('/promo');
+    expect(followed.status).toBe(302);
+    expect(followed.headers.location).toBe('https://example.com/more');
+    await User.updateOne({ email: 'expiry@example.com' }, { defaultFallbackUrl: null });
+  });
+});
+
+describe('Admin sweep status', () => {
+  it('should only be available to admins', async () => {
+    const response = await request(app)
+      .get('/admin/jobs/expiry-sweep')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should run a sweep on demand and report its outcome', async () => {
+    await Url.updateOne({ urlCode: 'promo' }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const run = await request(app)
+      .post('/admin/jobs/expiry-sweep/run')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(run.status).toBe(200);
+    expect(run.body.data.lastResult).toEqual({ marked: 1, archived: 0 });
+
+    const status = await request(app)
+      .get('/admin/jobs/expiry-sweep')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(status.body.data.lastRunAt).not.toBeNull();
+    expect(status.body.data.lastError).toBeNull();
+    expect(status.body.data.totals.marked).toBeGreaterThanOrEqual(1);
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const User = require('../../src/models/User');
+const Click = require('../../src/models/Click');
+const ClickRollup = require('../../src/models/ClickRollup');
+
+let mongoServer;
+let token;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'fallback@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await Click.deleteMany({});
+  await ClickRollup.deleteMany({});
+  await User.updateMany({}, { defaultFallbackUrl: null });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const createExpiredLink = async (body = {}) => {
+  await request(app)
+    .post('/urls')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ longUrl: 'https://example.com/sale', customAlias: 'sale', ...body });
+  await Url.updateOne({ urlCode: 'sale' }, { expiresAt: new Date(Date.now() - 1000), isExpired: true });
+};
+
+describe('Fallback destinations and error pages', () => {
+  it('should answer 410 Gone for expired links without a fallback', async () => {
+    await createExpiredLink();
+
+    const response = await request(app).get('/sale');
+
+    expect(response.status).toBe(410);
+    expect(response.body.error).toBe('URL has expired');
+  });
+
+  it('should serve HTML pages to browsers', async () => {
+    await createExpiredLink();
+
+    const expired = await request(app).get('/sale').set('Accept', 'text/html');
+    expect(expired.status).toBe(410);
+    expect(expired.headers['content-type']).toMatch(/html/);
+    expect(expired.text).toMatch(/has expired/);
+
+    const missing = await request(app).get('/nowhere').set('Accept', 'text/html');
+    expect(missing.status).toBe(404);
+    expect(missing.text).toMatch(/doesn't exist/);
+
+    const api = await request(app).get('/nowhere').set('Accept', 'application/json');
+    expect(api.status).toBe(404);
+    expect(api.body.error).toBe('URL not found');
+  });
+
+  it('should redirect expired links to their fallback destination', async () => {
+    await createExpiredLink({ fallbackUrl: 'https://example.com/next-sale' });
+
+    const response = await request(app).get('/sale');
+
+    expect(response.status).toBe(302);
+    expect(response.header.location).toBe('https://example.com/next-sale');
+    // Fallback visits are not clicks on the link
+    expect(await Click.countDocuments({ urlCode: 'sale' })).toBe(0);
+  });
+
+  it('should use the owner default unless the link has its own fallback', async () => {
+    const settings = await request(app)
+      .patch('/auth/settings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ defaultFallbackUrl: 'https://example.com/home' });
+    expect(settings.status).toBe(200);
+
+    await createExpiredLink();
+    const response = await request(app).get('/sale');
+    expect(response.header.location).toBe('https://example.com/home');
+
+    await request(app)
+      .patch('/urls/sale')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ fallbackUrl: 'https://example.com/own' });
+    await Url.updateOne({ urlCode: 'sale' }, { isExpired: true });
+
+    const own = await request(app).get('/sale');
+    expect(own.header.location).toBe('https://example.com/own');
+  });
+
+  it('should serve a not yet live page to browsers', async () => {
+    await request(app)
+      .post('/urls')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        longUrl: 'https://example.com/launch',
+        customAlias: 'soon',
+        activatesAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      });
+
+    const response = await request(app).get('/soon').set('Accept', 'text/html');
+
+    expect(response.status).toBe(403);
+    expect(response.text).toMatch(/isn't live yet/);
+  });
+
+  it('should reject invalid fallback URLs', async () => {
+    const link = await request(app)
+      .post('/urls')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ longUrl: 'https://example.com/sale', fallbackUrl: 'not-a-url' });
+    expect(link.status).toBe(400);
+
+    const settings = await request(app)
+      .patch('/auth/settings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ defaultFallbackUrl: 'not-a-url' });
+    expect(settings.status).toBe(400);
+  });
+});
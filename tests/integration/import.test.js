@@ -0,0 +1,158 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const User = require('../../src/models/User');
+const ImportJob = require('../../src/models/ImportJob');
+const ImportResult = require('../../src/models/ImportResult');
+const { runImportWatchdog } = require('../../src/jobs/importWatchdog');
+
+let mongoServer;
+let token;
+let otherToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'importer@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+
+  const otherResponse = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'other-importer@example.com',
+      password: 'password123'
+    });
+  otherToken = otherResponse.body.token;
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await ImportJob.deleteMany({});
+  await ImportResult.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const uploadCsv = (csv) => request(app)
+  .post('/urls/bulk/import')
+  .set('Authorization', `Bearer ${token}`)
+  .set('Content-Type', 'text/csv')
+  .send(csv);
+
+// Poll the job until the background import is done
+const waitForJob = async (jobId) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const response = await request(app)
+      .get(`/urls/bulk/jobs/${jobId}`)
+      .set('Authorization', `Bearer ${token}`);
+    if (['completed', 'failed'].includes(response.body.data.status)) {
+      return response.body.data;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Import did not finish');
+};
+
+describe('CSV bulk import', () => {
+  it('should import rows in the background and report progress', async () => {
+    const csv = [
+      'longUrl,customAlias,tags',
+      'https://example.com/one,import-one,email;q1',
+      'https://example.com/two,,',
+      '"https://example.com/three",import-three,'
+    ].join('\n');
+
+    const response = await uploadCsv(csv);
+
+    expect(response.status).toBe(202);
+    expect(response.body.data.totalRows).toBe(3);
+
+    const job = await waitForJob(response.body.data.jobId);
+    expect(job.status).toBe('completed');
+    expect(job.processedRows).toBe(3);
+    expect(job.succeeded).toBe(3);
+    expect(job.progress).toBe(100);
+
+    const url = await Url.findOne({ urlCode: 'import-one' });
+    expect(url.tags).toEqual(['email', 'q1']);
+    expect(await Url.countDocuments({})).toBe(3);
+  });
+
+  it('should report invalid rows individually', async () => {
+    const csv = [
+      'longUrl,customAlias,expiresAt',
+      'https://example.com/ok,dup-alias,',
+      'not-a-url,,',
+      'https://example.com/again,dup-alias,',
+      'https://example.com/later,,tomorrow'
+    ].join('\r\n');
+
+    const response = await uploadCsv(csv);
+    const job = await waitForJob(response.body.data.jobId);
+
+    expect(job.status).toBe('completed');
+    expect(job.succeeded).toBe(1);
+    expect(job.failed).toBe(3);
+
+    const results = await request(app)
+      .get(`/urls/bulk/jobs/${response.body.data.jobId}/results`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(results.status).toBe(200);
+    expect(results.headers['content-type']).toMatch(/text\/csv/);
+    const lines = results.text.trim().split('\n');
+    expect(lines[0]).toBe('row,longUrl,customAlias,status,shortUrl,error');
+    expect(lines).toHaveLength(5);
+    expect(lines[1]).toMatch(/^1,https:\/\/example\.com\/ok,dup-alias,created,/);
+    expect(lines[2]).toBe('2,not-a-url,,failed,,Invalid URL format');
+    expect(lines[3]).toMatch(/^3,.*,failed,,Duplicate custom alias in file$/);
+    expect(lines[4]).toMatch(/^4,.*,failed,,Invalid expiration date$/);
+  });
+
+  it('should reject files without a longUrl column', async () => {
+    const response = await uploadCsv('url,alias\nhttps://example.com,x\n');
+
+    expect(response.status).toBe(400);
+    expect(await ImportJob.countDocuments({})).toBe(0);
+  });
+
+  it('should not expose jobs of other users', async () => {
+    const response = await uploadCsv('longUrl\nhttps://example.com/mine\n');
+    await waitForJob(response.body.data.jobId);
+
+    const other = await request(app)
+      .get(`/urls/bulk/jobs/${response.body.data.jobId}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(other.status).toBe(403);
+  });
+
+  it('should fail jobs a restart interrupted', async () => {
+    const user = await User.findOne({ email: 'importer@example.com' });
+    const lastBeat = new Date(Date.now() - 20 * 60 * 1000);
+    const interrupted = await ImportJob.create({
+      userId: user._id, status: 'running', totalRows: 500, processedRows: 200, heartbeatAt: lastBeat
+    });
+    await ImportJob.create({ userId: user._id, status: 'running', totalRows: 500 });
+
+    expect(await runImportWatchdog()).toBe(1);
+
+    const response = await request(app)
+      .get(`/urls/bulk/jobs/${interrupted._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(response.body.data.status).toBe('failed');
+    expect(response.body.data.error).toContain('interrupted');
+    expect(await ImportJob.countDocuments({ status: 'running' })).toBe(1);
+  });
+});
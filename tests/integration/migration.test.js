@@ -0,0 +1,117 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Url = require('../../src/models/Url');
+const Click = require('../../src/models/Click');
+const ClickRollup = require('../../src/models/ClickRollup');
+const migrateEmbeddedAnalytics = require('../../src/migrations/moveEmbeddedAnalytics');
+
+let mongoServer;
+let token;
+let userId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'migration@example.com',
+      password: 'password123'
+    });
+
+  token = response.body.token;
+  const user = await User.findOne({ email: 'migration@example.com' });
+  userId = user._id;
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe('Embedded analytics migration', () => {
+  beforeEach(async () => {
+    await Url.deleteMany({});
+    await Click.deleteMany({});
+    await ClickRollup.deleteMany({});
+
+    // Legacy document with clicks embedded in the Url
+    await Url.collection.insertOne({
+      userId,
+      urlCode: 'legacy',
+      longUrl: 'https://example.com/legacy',
+      shortUrl: 'http://localhost:3000/legacy',
+      qrCode: 'data:image/png;base64,',
+      clicks: 3,
+      createdAt: new Date('2024-01-01T00:00:00Z'),
+      analytics: [
+        {
+          _id: new mongoose.Types.ObjectId(),
+          timestamp: new Date('2024-01-01T10:15:00Z'),
+          userAgent: 'Mozilla/5.0 Firefox/95.0',
+          referer: 'https://github.com'
+        },
+        {
+          _id: new mongoose.Types.ObjectId(),
+          timestamp: new Date('2024-01-01T10:45:00Z'),
+          userAgent: 'Mozilla/5.0 Chrome/96.0'
+        },
+        {
+          _id: new mongoose.Types.ObjectId(),
+          timestamp: new Date('2024-01-02T08:00:00Z'),
+          userAgent: 'Mozilla/5.0 Chrome/96.0'
+        }
+      ]
+    });
+  });
+
+  it('should move embedded clicks into the Click collection', async () => {
+    const result = await migrateEmbeddedAnalytics();
+
+    expect(result).toEqual({ urls: 1, clicks: 3 });
+    expect(await Click.countDocuments({ urlCode: 'legacy' })).toBe(3);
+
+    const raw = await Url.collection.findOne({ urlCode: 'legacy' });
+    expect(raw.analytics).toBeUndefined();
+    expect(raw.lastClickedAt).toEqual(new Date('2024-01-02T08:00:00Z'));
+  });
+
+  it('should build hourly and daily rollups', async () => {
+    await migrateEmbeddedAnalytics();
+
+    const hours = await ClickRollup.find({ urlCode: 'legacy', granularity: 'hour' }).sort({ bucket: 1 });
+    const days = await ClickRollup.find({ urlCode: 'legacy', granularity: 'day' }).sort({ bucket: 1 });
+
+    expect(hours.map(hour => hour.clicks)).toEqual([2, 1]);
+    expect(days.map(day => day.clicks)).toEqual([2, 1]);
+  });
+
+  it('should not duplicate clicks when re-run', async () => {
+    const raw = await Url.collection.findOne({ urlCode: 'legacy' });
+    await migrateEmbeddedAnalytics();
+
+    // Simulate a run interrupted before the embedded array was removed
+    await Url.collection.updateOne({ urlCode: 'legacy' }, { $set: { analytics: raw.analytics } });
+    await migrateEmbeddedAnalytics();
+
+    expect(await Click.countDocuments({ urlCode: 'legacy' })).toBe(3);
+  });
+
+  it('should serve stats from the migrated clicks', async () => {
+    await migrateEmbeddedAnalytics();
+
+    const response = await request(app)
+      .get('/urls/legacy/stats?from=2024-01-01T00:00:00Z&to=2024-01-03T00:00:00Z')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalClicks).toBe(3);
+    expect(response.body.browserStats).toEqual({ Chrome: 2, Firefox: 1 });
+    expect(response.body.referrerStats).toEqual({ Direct: 2, 'https://github.com': 1 });
+    expect(response.body.clicksByDate).toEqual({ '2024-01-01': 2, '2024-01-02': 1 });
+  });
+});
@@ -0,0 +1,124 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const User = require('../../src/models/User');
+const Click = require('../../src/models/Click');
+
+let mongoServer;
+let token;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'preview@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await Click.deleteMany({});
+  await User.updateOne({ email: 'preview@example.com' }, { alwaysPreview: false });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const createLink = (body) => request(app)
+  .post('/urls')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ longUrl: 'https://example.com/article', ...body });
+
+describe('Link previews', () => {
+  it('should show where a link goes without counting a click', async () => {
+    const created = await createLink({ customAlias: 'peek', title: 'Spring article' });
+    expect(created.body.title).toBe('Spring article');
+
+    const json = await request(app).get('/peek/preview');
+    expect(json.status).toBe(200);
+    expect(json.body.destination).toBe('https://example.com/article');
+    expect(json.body.title).toBe('Spring article');
+    expect(json.body.createdAt).toBe(created.body.created);
+
+    const html = await request(app).get('/peek/preview').set('Accept', 'text/html');
+    expect(html.text).toContain('Spring article');
+    expect(html.text).toContain('https://example.com/article');
+
+    const url = await Url.findOne({ urlCode: 'peek' });
+    expect(url.clicks).toBe(0);
+    expect(await Click.countDocuments({ urlCode: 'peek' })).toBe(0);
+  });
+
+  it('should not reveal the destination of protected links', async () => {
+    await createLink({ customAlias: 'secret-peek', password: 'hunter22' });
+
+    const response = await request(app).get('/secret-peek/preview');
+
+    expect(response.body.isProtected).toBe(true);
+    expect(response.body.destination).toBeNull();
+  });
+
+  it('should show an interstitial for links that ask for it', async () => {
+    await createLink({ customAlias: 'careful', preview: true });
+
+    const page = await request(app).get('/careful').set('Accept', 'text/html');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('action="/careful"');
+    expect(await Click.countDocuments({ urlCode: 'careful' })).toBe(0);
+
+    const followed = await request(app).post('/careful');
+    expect(followed.status).toBe(303);
+    expect(followed.headers.location).toBe('https://example.com/article');
+    expect((await Url.findOne({ urlCode: 'careful' })).clicks).toBe(1);
+  });
+
+  it('should follow the account setting unless the link overrides it', async () => {
+    await createLink({ customAlias: 'default' });
+    await createLink({ customAlias: 'direct', preview: false });
+    // Cached before the setting changes
+    expect((await request(app).get('/default')).status).toBe(302);
+
+    const settings = await request(app)
+      .patch('/auth/settings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ alwaysPreview: true });
+    expect(settings.body.alwaysPreview).toBe(true);
+
+    const previewed = await request(app).get('/default');
+    expect(previewed.status).toBe(200);
+    expect(previewed.body.destination).toBe('https://example.com/article');
+    expect((await request(app).get('/direct')).status).toBe(302);
+  });
+
+  it('should update and validate title and preview', async () => {
+    await createLink({ customAlias: 'edit-peek' });
+
+    const updated = await request(app)
+      .patch('/urls/edit-peek')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'New title', preview: true });
+    expect(updated.body.data.title).toBe('New title');
+    expect(updated.body.data.preview).toBe(true);
+
+    expect((await createLink({ title: 'x'.repeat(201) })).status).toBe(400);
+    expect((await createLink({ preview: 'yes' })).status).toBe(400);
+  });
+
+  it('should answer 410 for the preview of an expired link', async () => {
+    await createLink({ customAlias: 'old-peek', fallbackUrl: 'https://example.com/fallback' });
+    await Url.updateOne({ urlCode: 'old-peek' }, { isExpired: true });
+
+    const response = await request(app).get('/old-peek/preview');
+
+    expect(response.status).toBe(410);
+  });
+});
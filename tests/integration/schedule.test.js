@@ -0,0 +1,110 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const Click = require('../../src/models/Click');
+const ClickRollup = require('../../src/models/ClickRollup');
+const urlService = require('../../src/services/urlService');
+
+let mongoServer;
+let token;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'schedule@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await Click.deleteMany({});
+  await ClickRollup.deleteMany({});
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const createLink = (body) => request(app)
+  .post('/urls')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ longUrl: 'https://example.com/launch', ...body });
+
+describe('Scheduled activation and click limits', () => {
+  it('should not redirect before the activation date', async () => {
+    const activatesAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const created = await createLink({ customAlias: 'launch', activatesAt });
+    expect(created.body.activatesAt).toBe(activatesAt);
+
+    const early = await request(app).get('/launch');
+    expect(early.status).toBe(403);
+    expect(early.body.activatesAt).toBe(activatesAt);
+    expect(await Click.countDocuments({ urlCode: 'launch' })).toBe(0);
+
+    await Url.updateOne({ urlCode: 'launch' }, { activatesAt: new Date(Date.now() - 1000) });
+    // Cached copies still carry the old date
+    await urlService.cache.delete('launch');
+
+    const live = await request(app).get('/launch');
+    expect(live.status).toBe(302);
+  });
+
+  it('should expire after maxClicks redirects', async () => {
+    await createLink({ customAlias: 'limited', maxClicks: 2 });
+
+    expect((await request(app).get('/limited')).status).toBe(302);
+    expect((await request(app).get('/limited')).status).toBe(302);
+    expect((await request(app).get('/limited')).status).toBe(410);
+
+    const url = await Url.findOne({ urlCode: 'limited' });
+    expect(url.clicks).toBe(2);
+    expect(url.isExpired).toBe(true);
+  });
+
+  it('should never overshoot maxClicks under concurrent clicks', async () => {
+    await createLink({ customAlias: 'rush', maxClicks: 3 });
+
+    const responses = await Promise.all(
+      Array.from({ length: 6 }, () => request(app).get('/rush'))
+    );
+
+    expect(responses.filter(response => response.status === 302)).toHaveLength(3);
+    const url = await Url.findOne({ urlCode: 'rush' });
+    expect(url.clicks).toBe(3);
+    expect(await Click.countDocuments({ urlCode: 'rush' })).toBe(3);
+  });
+
+  it('should accept limits on bulk creation and list them', async () => {
+    const activatesAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await request(app)
+      .post('/urls/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        urls: [
+          { longUrl: 'https://example.com/a', customAlias: 'bulk-limited', maxClicks: 10, activatesAt }
+        ]
+      });
+
+    const response = await request(app)
+      .get('/urls')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.body.data[0].maxClicks).toBe(10);
+    expect(response.body.data[0].activatesAt).toBe(activatesAt);
+  });
+
+  it('should reject invalid click limits', async () => {
+    const response = await createLink({ maxClicks: 0 });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Url = require('../../src/models/Url');
+const Click = require('../../src/models/Click');
+const ClickRollup = require('../../src/models/ClickRollup');
+const ReservedCode = require('../../src/models/ReservedCode');
+const urlService = require('../../src/services/urlService');
+
+let mongoServer;
+let token;
+let otherToken;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  const response = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'trash@example.com',
+      password: 'password123'
+    });
+  token = response.body.token;
+
+  const otherResponse = await request(app)
+    .post('/auth/register')
+    .send({
+      email: 'other-trash@example.com',
+      password: 'password123'
+    });
+  otherToken = otherResponse.body.token;
+});
+
+beforeEach(async () => {
+  await Url.deleteMany({});
+  await Click.deleteMany({});
+  await ClickRollup.deleteMany({});
+  await ReservedCode.deleteMany({});
+
+  await request(app)
+    .post('/urls')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ longUrl: 'https://example.com/printed', customAlias: 'printed' });
+  await request(app).get('/printed');
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const deletePrinted = () => request(app)
+  .delete('/urls/printed')
+  .set('Authorization', `Bearer ${token}`);
+
+describe('Trash', () => {
+  it('should list deleted links and restore them with their analytics', async () => {
+    await deletePrinted();
+
+    const redirect = await request(app).get('/printed');
+    expect(redirect.status).toBe(404);
+
+    const trash = await request(app)
+      .get('/urls/trash')
+      .set('Authorization', `Bearer ${token}`);
+    expect(trash.body.data.map(url => url.urlCode)).toEqual(['printed']);
+    expect(new Date(trash.body.data[0].purgeAt) > new Date(trash.body.data[0].deletedAt)).toBe(true);
+
+    const list = await request(app)
+      .get('/urls')
+      .set('Authorization', `Bearer ${token}`);
+    expect(list.body.pagination.total).toBe(0);
+
+    const restored = await request(app)
+      .post('/urls/printed/restore')
+      .set('Authorization', `Bearer ${token}`);
+    expect(restored.status).toBe(200);
+
+    const again = await request(app).get('/printed');
+    expect(again.status).toBe(302);
+    const url = await Url.findOne({ urlCode: 'printed' });
+    expect(url.clicks).toBe(2);
+  });
+
+  it('should not let other users restore a link', async () => {
+    await deletePrinted();
+
+    const response = await request(app)
+      .post('/urls/printed/restore')
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  it('should purge links after the retention period and keep their code reserved', async () => {
+    await deletePrinted();
+
+    // Nothing is old enough yet
+    expect(await urlService.purgeTrash()).toBe(0);
+
+    const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    expect(await urlService.purgeTrash(later)).toBe(1);
+    expect(await Url.findOne({ urlCode: 'printed' })).toBeNull();
+    expect(await Click.countDocuments({ urlCode: 'printed' })).toBe(0);
+
+    const reuse = await request(app)
+      .post('/urls')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ longUrl: 'https://example.com/stranger', customAlias: 'printed' });
+    expect(reuse.status).toBe(400);
+    expect(reuse.body.error).toMatch(/already in use/);
+  });
+
+  it('should keep the old code of a renamed link reserved', async () => {
+    await request(app)
+      .patch('/urls/printed')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ customAlias: 'printed-v2' });
+
+    const reuse = await request(app)
+      .post('/urls')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ longUrl: 'https://example.com/stranger', customAlias: 'printed' });
+    expect(reuse.status).toBe(400);
+  });
+});
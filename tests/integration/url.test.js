@@ -4,6 +4,9 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
 const Url = require('../../src/models/Url');
+const Click = require('../../src/models/Click');
+const ClickRollup = require('../../src/models/ClickRollup');
+const ReservedCode = require('../../src/models/ReservedCode');
 
 let mongoServer;
 let token;
@@ -49,6 +52,10 @@ beforeEach(async () => {
     // Keep only the test URL
     await Url.deleteMany({ urlCode: { $ne: testUrlCode } });
   }
+  await Click.deleteMany({ urlCode: { $ne: testUrlCode } });
+  await ClickRollup.deleteMany({ urlCode: { $ne: testUrlCode } });
+  // Renamed aliases are reserved, free them so tests can reuse their aliases
+  await ReservedCode.deleteMany({});
 });
 
 afterAll(async () => {
@@ -83,6 +90,89 @@ describe('URL Shortener API', () => {
 
       expect(response.status).toBe(401);
     });
+
+    describe('pagination, search and filters', () => {
+      beforeAll(async () => {
+        // The search index has to be built before $text queries run
+        await Url.init();
+      });
+
+      beforeEach(async () => {
+        const links = [
+          { alias: 'list-docs', longUrl: 'https://docs.example.com/guide', clicks: 5 },
+          { alias: 'list-blog', longUrl: 'https://blog.example.com/post', clicks: 20 },
+          { alias: 'list-shop', longUrl: 'https://shop.example.com/cart', clicks: 1 }
+        ];
+        for (const link of links) {
+          await request(app)
+            .post('/urls')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ longUrl: link.longUrl, customAlias: link.alias });
+          await Url.updateOne({ urlCode: link.alias }, { clicks: link.clicks });
+        }
+        await Url.updateOne({ urlCode: 'list-shop' }, { expiresAt: new Date(Date.now() - 1000) });
+      });
+
+      it('should page through URLs with a cursor', async () => {
+        const first = await request(app)
+          .get('/urls?limit=3')
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(first.status).toBe(200);
+        expect(first.body.data).toHaveLength(3);
+        expect(first.body.pagination.total).toBe(4);
+        expect(first.body.pagination.hasMore).toBe(true);
+
+        const second = await request(app)
+          .get('/urls')
+          .query({ limit: 3, cursor: first.body.pagination.nextCursor })
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(second.body.data).toHaveLength(1);
+        expect(second.body.pagination.hasMore).toBe(false);
+        expect(second.body.pagination.nextCursor).toBeNull();
+
+        const codes = [...first.body.data, ...second.body.data].map(url => url.urlCode);
+        expect(new Set(codes).size).toBe(4);
+      });
+
+      it('should sort by clicks', async () => {
+        const response = await request(app)
+          .get('/urls?sort=clicks&order=desc&limit=2')
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(response.body.data.map(url => url.urlCode)).toEqual(['list-blog', 'list-docs']);
+      });
+
+      it('should search destinations and codes', async () => {
+        const response = await request(app)
+          .get('/urls?q=blog')
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(response.body.data.map(url => url.urlCode)).toEqual(['list-blog']);
+        expect(response.body.pagination.total).toBe(1);
+      });
+
+      it('should filter by expiry status', async () => {
+        const expired = await request(app)
+          .get('/urls?status=expired')
+          .set('Authorization', `Bearer ${token}`);
+        const active = await request(app)
+          .get('/urls?status=active&hasExpiry=false')
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(expired.body.data.map(url => url.urlCode)).toEqual(['list-shop']);
+        expect(active.body.pagination.total).toBe(3);
+      });
+
+      it('should reject invalid list parameters', async () => {
+        const response = await request(app)
+          .get('/urls?sort=longUrl')
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(400);
+      });
+    });
   });
 
   // Test POST /urls (Create short URL)
@@ -149,6 +239,18 @@ describe('URL Shortener API', () => {
 
       expect(response.status).toBe(400);
     });
+
+    it('should reject aliases taken by API routes', async () => {
+      for (const customAlias of ['campaigns', 'admin', 'domains', 'urls', 'Auth']) {
+        const response = await request(app)
+          .post('/urls')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ longUrl: 'https://example.com', customAlias });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Custom alias is reserved');
+      }
+    });
   });
 
   // Test POST /urls/bulk (Bulk URL creation)
@@ -204,6 +306,248 @@ describe('URL Shortener API', () => {
     });
   });
 
+  // Test password protected URLs
+  describe('Password protected URLs', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          longUrl: 'https://example.com/internal',
+          customAlias: 'locked',
+          password: 'opensesame'
+        });
+    });
+
+    it('should store the password hashed', async () => {
+      const url = await Url.findOne({ urlCode: 'locked' }).select('+password');
+      expect(url.isProtected).toBe(true);
+      expect(url.password).not.toBe('opensesame');
+    });
+
+    it('should serve the unlock form instead of redirecting', async () => {
+      const response = await request(app).get('/locked');
+
+      expect(response.status).toBe(200);
+      expect(response.header['content-type']).toMatch(/html/);
+      expect(response.text).toContain('name="password"');
+    });
+
+    it('should reject a wrong password', async () => {
+      const response = await request(app)
+        .post('/locked')
+        .type('form')
+        .send({ password: 'wrong' });
+
+      expect(response.status).toBe(401);
+      const url = await Url.findOne({ urlCode: 'locked' });
+      expect(url.clicks).toBe(0);
+    });
+
+    it('should redirect and track the click after unlocking', async () => {
+      await request(app).get('/locked');
+
+      const response = await request(app)
+        .post('/locked')
+        .type('form')
+        .send({ password: 'opensesame' });
+
+      expect(response.status).toBe(303);
+      expect(response.header.location).toBe('https://example.com/internal');
+
+      const stats = await request(app)
+        .get('/urls/locked/stats')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(stats.body.totalClicks).toBe(1);
+      expect(stats.body.lockedVisits).toBe(1);
+      expect(stats.body.unlockedVisits).toBe(1);
+    });
+
+    it('should still unlock with the right password after others used up the link\'s attempts', async () => {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ longUrl: 'https://example.com/internal', customAlias: 'crowded', password: 'opensesame' });
+      // One guess per IP, so only the per-link cap applies
+      app.set('trust proxy', true);
+
+      try {
+        for (let guess = 1; guess <= 50; guess++) {
+          await request(app)
+            .post('/crowded')
+            .set('X-Forwarded-For', `203.0.113.${guess}`)
+            .type('form')
+            .send({ password: `wrong-${guess}` });
+        }
+
+        const refused = await request(app)
+          .post('/crowded')
+          .set('X-Forwarded-For', '198.51.100.1')
+          .type('form')
+          .send({ password: 'still-wrong' });
+        expect(refused.status).toBe(429);
+
+        const unlocked = await request(app)
+          .post('/crowded')
+          .set('X-Forwarded-For', '198.51.100.2')
+          .type('form')
+          .send({ password: 'opensesame' });
+        expect(unlocked.status).toBe(303);
+        expect(unlocked.header.location).toBe('https://example.com/internal');
+      } finally {
+        app.set('trust proxy', false);
+      }
+    }, 30000);
+  });
+
+  // Test device and OS targeting
+  describe('Redirect targeting', () => {
+    const iphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148 Safari/604.1';
+    const android = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36';
+    const desktop = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36';
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          longUrl: 'https://example.com/app',
+          customAlias: 'targeted',
+          targeting: [
+            { name: 'app-store', os: 'iOS', destination: 'https://apps.apple.com/app/id1' },
+            { name: 'play-store', os: 'Android', destination: 'https://play.google.com/store/apps/details?id=app' }
+          ]
+        });
+    });
+
+    it('should redirect each platform to its destination', async () => {
+      const ios = await request(app).get('/targeted').set('User-Agent', iphone);
+      const droid = await request(app).get('/targeted').set('User-Agent', android);
+      const web = await request(app).get('/targeted').set('User-Agent', desktop);
+
+      expect(ios.header.location).toBe('https://apps.apple.com/app/id1');
+      expect(droid.header.location).toBe('https://play.google.com/store/apps/details?id=app');
+      expect(web.header.location).toBe('https://example.com/app');
+    });
+
+    it('should report which rule matched in stats', async () => {
+      await request(app).get('/targeted').set('User-Agent', iphone);
+      await request(app).get('/targeted').set('User-Agent', desktop);
+
+      const stats = await request(app)
+        .get('/urls/targeted/stats')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(stats.body.targetingStats).toEqual({ 'app-store': 1, fallback: 1 });
+    });
+
+    it('should reject rules without a valid destination', async () => {
+      const response = await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          longUrl: 'https://example.com/app',
+          targeting: [{ os: 'iOS', destination: 'not-a-url' }]
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // Test weighted A/B destinations
+  describe('A/B destination rotation', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          longUrl: 'https://example.com/landing',
+          customAlias: 'abtest',
+          stickyVariants: true,
+          variants: [
+            { name: 'a', destination: 'https://example.com/landing-a', weight: 70 },
+            { name: 'b', destination: 'https://example.com/landing-b', weight: 30 }
+          ]
+        });
+    });
+
+    it('should redirect to one of the variants and set a sticky cookie', async () => {
+      const response = await request(app).get('/abtest');
+
+      expect(response.status).toBe(302);
+      expect([
+        'https://example.com/landing-a',
+        'https://example.com/landing-b'
+      ]).toContain(response.header.location);
+      expect(response.header['set-cookie'][0]).toMatch(/^ab_abtest=(a|b);/);
+    });
+
+    it('should keep a returning visitor on the same variant', async () => {
+      for (let i = 0; i < 5; i++) {
+        const response = await request(app)
+          .get('/abtest')
+          .set('Cookie', 'ab_abtest=b');
+        expect(response.header.location).toBe('https://example.com/landing-b');
+      }
+    });
+
+    it('should break down clicks per variant in stats', async () => {
+      await request(app).get('/abtest').set('Cookie', 'ab_abtest=a');
+      await request(app).get('/abtest').set('Cookie', 'ab_abtest=a');
+      await request(app).get('/abtest').set('Cookie', 'ab_abtest=b');
+
+      const stats = await request(app)
+        .get('/urls/abtest/stats')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(stats.body.variantStats).toEqual({ a: 2, b: 1 });
+    });
+  });
+
+  // Test UTM tagging and query-string passthrough
+  describe('UTM parameters', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          longUrl: 'https://example.com/promo?ref=site',
+          customAlias: 'utmtest',
+          utm: { source: 'newsletter', medium: 'email', campaign: 'spring-sale' },
+          forwardQuery: true
+        });
+    });
+
+    it('should merge UTM fields into the destination', async () => {
+      const response = await request(app).get('/utmtest');
+      const location = new URL(response.header.location);
+
+      expect(location.searchParams.get('ref')).toBe('site');
+      expect(location.searchParams.get('utm_source')).toBe('newsletter');
+      expect(location.searchParams.get('utm_medium')).toBe('email');
+      expect(location.searchParams.get('utm_campaign')).toBe('spring-sale');
+    });
+
+    it('should forward the query string without overriding link parameters', async () => {
+      const response = await request(app).get('/utmtest?x=1&ref=other&utm_source=spoofed');
+      const location = new URL(response.header.location);
+
+      expect(location.searchParams.get('x')).toBe('1');
+      expect(location.searchParams.get('ref')).toBe('site');
+      expect(location.searchParams.get('utm_source')).toBe('newsletter');
+    });
+
+    it('should filter URLs by campaign', async () => {
+      const response = await request(app)
+        .get('/urls?campaign=spring-sale')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(url => url.urlCode)).toEqual(['utmtest']);
+    });
+  });
+
   // Test GET /urls/:code/stats (URL statistics)
   describe('GET /urls/:code/stats', () => {
     it('should return URL statistics', async () => {
@@ -246,6 +590,191 @@ describe('URL Shortener API', () => {
       expect(response.body.clicksByDate).toBeDefined();
     });
 
+    it('should report OS and device stats and exclude bots by default', async () => {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          longUrl: 'https://example.com/ua',
+          customAlias: 'uatest'
+        });
+
+      await request(app)
+        .get('/uatest')
+        .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91');
+      await request(app)
+        .get('/uatest')
+        .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1');
+      await request(app)
+        .get('/uatest')
+        .set('User-Agent', 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)');
+      // Missing user agent must not break tracking
+      await request(app).get('/uatest');
+
+      const response = await request(app)
+        .get('/urls/uatest/stats')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.body.totalClicks).toBe(3);
+      expect(response.body.botClicks).toBe(1);
+      expect(response.body.browserStats).toEqual({ Edge: 1, Safari: 1, Other: 1 });
+      expect(response.body.osStats).toEqual({ Windows: 1, iOS: 1, Other: 1 });
+      expect(response.body.deviceStats).toEqual({ desktop: 2, mobile: 1 });
+
+      const withBots = await request(app)
+        .get('/urls/uatest/stats?includeBots=true')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(withBots.body.deviceStats).toEqual({ desktop: 2, mobile: 1, bot: 1 });
+    });
+
+    it('should count unique visitors next to raw clicks', async () => {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          longUrl: 'https://example.com/visitors',
+          customAlias: 'visitortest'
+        });
+
+      // One visitor refreshing three times, one other visitor
+      for (let i = 0; i < 3; i++) {
+        await request(app).get('/visitortest').set('User-Agent', 'Mozilla/5.0 Firefox/121.0');
+      }
+      await request(app).get('/visitortest').set('User-Agent', 'Mozilla/5.0 Chrome/120.0');
+
+      const stats = await request(app)
+        .get('/urls/visitortest/stats')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(stats.body.totalClicks).toBe(4);
+      expect(stats.body.uniqueVisitors).toBe(2);
+      const today = new Date().toISOString().split('T')[0];
+      expect(stats.body.uniqueVisitorsByDate[today]).toBe(2);
+
+      const list = await request(app)
+        .get('/urls')
+        .set('Authorization', `Bearer ${token}`);
+
+      const listed = list.body.data.find(url => url.urlCode === 'visitortest');
+      expect(listed.clicks).toBe(4);
+      expect(listed.uniqueVisitors).toBe(2);
+    });
+
+    describe('time ranges', () => {
+      // Store a click the way trackClick does, at a fixed time
+      const addClick = async (urlCode, timestamp) => {
+        await Click.create({ urlCode, timestamp, browser: 'Chrome' });
+        const buckets = ClickRollup.bucketsFor(timestamp);
+        for (const granularity of ['hour', 'day']) {
+          await ClickRollup.updateOne(
+            { urlCode, granularity, bucket: buckets[granularity] },
+            { $inc: { clicks: 1 } },
+            { upsert: true }
+          );
+        }
+      };
+
+      beforeEach(async () => {
+        await request(app)
+          .post('/urls')
+          .set('Authorization', `Bearer ${token}`)
+          .send({
+            longUrl: 'https://example.com/ranges',
+            customAlias: 'rangetest'
+          });
+      });
+
+      it('should bucket clicks in the requested time zone', async () => {
+        await addClick('rangetest', new Date('2024-01-02T03:00:00Z'));
+        await addClick('rangetest', new Date('2024-01-02T06:00:00Z'));
+
+        const response = await request(app)
+          .get('/urls/rangetest/stats')
+          .query({
+            from: '2024-01-01T05:00:00Z',
+            to: '2024-01-03T05:00:00Z',
+            tz: 'America/New_York'
+          })
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.clicksByDate).toEqual({ '2024-01-01': 1, '2024-01-02': 1 });
+      });
+
+      it('should zero-fill buckets and compare with the previous period', async () => {
+        await addClick('rangetest', new Date('2023-12-31T10:00:00Z'));
+        await addClick('rangetest', new Date('2024-01-01T10:00:00Z'));
+        await addClick('rangetest', new Date('2024-01-02T10:30:00Z'));
+
+        const response = await request(app)
+          .get('/urls/rangetest/stats')
+          .query({ from: '2024-01-02T00:00:00Z', to: '2024-01-04T00:00:00Z' })
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(response.body.clicksByDate).toEqual({ '2024-01-02': 1, '2024-01-03': 0 });
+        expect(response.body.periodClicks).toBe(1);
+        expect(response.body.browserStats).toEqual({ Chrome: 1 });
+        expect(response.body.comparison.periodClicks).toBe(2);
+        expect(response.body.comparison.change).toBe(-1);
+        expect(response.body.comparison.changePercent).toBe(-50);
+      });
+
+      it('should support hourly and monthly granularity', async () => {
+        await addClick('rangetest', new Date('2024-01-02T10:30:00Z'));
+
+        const hourly = await request(app)
+          .get('/urls/rangetest/stats')
+          .query({ from: '2024-01-02T09:15:00Z', to: '2024-01-02T11:15:00Z', granularity: 'hour' })
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(hourly.body.clicksByDate).toEqual({
+          '2024-01-02T09:00': 0,
+          '2024-01-02T10:00': 1,
+          '2024-01-02T11:00': 0
+        });
+
+        const monthly = await request(app)
+          .get('/urls/rangetest/stats')
+          .query({ from: '2023-12-01T00:00:00Z', to: '2024-02-01T00:00:00Z', granularity: 'month' })
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(monthly.body.clicksByDate).toEqual({ '2023-12': 0, '2024-01': 1 });
+      });
+
+      it('should answer the default window from the rollups', async () => {
+        // Rolled up without raw clicks, so only a rollup read sees it
+        const buckets = ClickRollup.bucketsFor(new Date());
+        await ClickRollup.updateOne(
+          { urlCode: 'rangetest', granularity: 'hour', bucket: buckets.hour },
+          { $inc: { clicks: 3 } },
+          { upsert: true }
+        );
+
+        const response = await request(app)
+          .get('/urls/rangetest/stats')
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.periodClicks).toBe(3);
+      });
+
+      it('should reject invalid range parameters', async () => {
+        const response = await request(app)
+          .get('/urls/rangetest/stats?granularity=minute')
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(400);
+
+        // Until now when to is left out
+        const future = await request(app)
+          .get('/urls/rangetest/stats?from=2200-01-01T00:00:00Z')
+          .set('Authorization', `Bearer ${token}`);
+
+        expect(future.status).toBe(400);
+      });
+    });
+
     it('should handle non-existent URLs', async () => {
       const response = await request(app)
         .get('/urls/nonexistent/stats')
@@ -256,6 +785,152 @@ describe('URL Shortener API', () => {
     });
   });
 
+  // Test GET /urls/analytics (Account-wide analytics)
+  describe('GET /urls/analytics', () => {
+    let dashboardToken;
+
+    beforeAll(async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          email: 'dashboard@example.com',
+          password: 'password123'
+        });
+      dashboardToken = response.body.token;
+    });
+
+    beforeEach(async () => {
+      for (const alias of ['dash-a', 'dash-b']) {
+        await request(app)
+          .post('/urls')
+          .set('Authorization', `Bearer ${dashboardToken}`)
+          .send({ longUrl: `https://example.com/${alias}`, customAlias: alias });
+      }
+
+      await request(app).get('/dash-a').set('Referer', 'https://google.com');
+      await request(app).get('/dash-a').set('Referer', 'https://google.com');
+      await request(app).get('/dash-b');
+    });
+
+    it('should aggregate clicks across all of the user\'s links', async () => {
+      const response = await request(app)
+        .get('/urls/analytics')
+        .set('Authorization', `Bearer ${dashboardToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.periodClicks).toBe(3);
+      const today = new Date().toISOString().split('T')[0];
+      expect(response.body.clicksByDate[today]).toBe(3);
+      expect(response.body.topLinks.map(link => [link.urlCode, link.clicks])).toEqual([
+        ['dash-a', 2],
+        ['dash-b', 1]
+      ]);
+      expect(response.body.topLinks[0].longUrl).toBe('https://example.com/dash-a');
+      expect(response.body.topReferrers[0]).toEqual({ referrer: 'https://google.com', clicks: 2 });
+      expect(response.body.links.created).toBe(2);
+      expect(response.body.links.expired).toBe(0);
+    });
+
+    it('should leave trashed links out of the link counts', async () => {
+      await request(app)
+        .delete('/urls/dash-b')
+        .set('Authorization', `Bearer ${dashboardToken}`);
+
+      const response = await request(app)
+        .get('/urls/analytics')
+        .set('Authorization', `Bearer ${dashboardToken}`);
+
+      expect(response.body.links.created).toBe(1);
+    });
+
+    it('should honour the date range', async () => {
+      const response = await request(app)
+        .get('/urls/analytics')
+        .query({ from: '2024-01-01T00:00:00Z', to: '2024-01-08T00:00:00Z' })
+        .set('Authorization', `Bearer ${dashboardToken}`);
+
+      expect(response.body.periodClicks).toBe(0);
+      expect(Object.keys(response.body.clicksByDate)).toHaveLength(7);
+      expect(response.body.topLinks).toEqual([]);
+    });
+
+    it('should reject invalid range parameters', async () => {
+      const response = await request(app)
+        .get('/urls/analytics?tz=Mars/Olympus')
+        .set('Authorization', `Bearer ${dashboardToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // Test GET /urls/:code/clicks/export (Click export)
+  describe('GET /urls/:code/clicks/export', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          longUrl: 'https://example.com/export',
+          customAlias: 'exporttest'
+        });
+
+      await request(app)
+        .get('/exporttest')
+        .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0.0.0 Safari/537.36')
+        .set('Referer', 'https://news.example.com/a,b');
+      await request(app)
+        .get('/exporttest')
+        .set('User-Agent', 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0');
+    });
+
+    it('should export clicks as CSV with a download header', async () => {
+      const response = await request(app)
+        .get('/urls/exporttest/clicks/export?format=csv')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.header['content-type']).toMatch(/text\/csv/);
+      expect(response.header['content-disposition']).toBe('attachment; filename="exporttest-clicks.csv"');
+
+      const lines = response.text.trim().split('\n');
+      expect(lines[0]).toMatch(/^timestamp,referrer,browser/);
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toContain('"https://news.example.com/a,b",Chrome');
+    });
+
+    it('should export clicks as JSON and NDJSON', async () => {
+      const json = await request(app)
+        .get('/urls/exporttest/clicks/export?format=json')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(JSON.parse(json.text).map(click => click.browser)).toEqual(['Chrome', 'Firefox']);
+
+      const ndjson = await request(app)
+        .get('/urls/exporttest/clicks/export?format=ndjson')
+        .set('Authorization', `Bearer ${token}`);
+
+      const rows = ndjson.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(rows[1].os).toBe('Linux');
+    });
+
+    it('should honour the date range', async () => {
+      const response = await request(app)
+        .get('/urls/exporttest/clicks/export?format=ndjson&to=2000-01-01T00:00:00Z')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe('');
+    });
+
+    it('should reject unknown formats', async () => {
+      const response = await request(app)
+        .get('/urls/exporttest/clicks/export?format=xml')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   // Test GET /urls/:code/qr (QR code)
   describe('GET /urls/:code/qr', () => {
     it('should return QR code information', async () => {
@@ -269,6 +944,49 @@ describe('URL Shortener API', () => {
       expect(response.body.shortUrl).toBeDefined();
     });
 
+    it('should return a styled SVG image', async () => {
+      const response = await request(app)
+        .get(`/urls/${testUrlCode}/qr?format=svg&fg=1a2b3c&margin=1`)
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let body = '';
+          res.on('data', chunk => { body += chunk; });
+          res.on('end', () => callback(null, body));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/image\/svg\+xml/);
+      expect(response.body).toMatch(/^<svg/);
+      expect(response.body).toContain('#1a2b3cff');
+    });
+
+    it('should return a PNG image of the requested size', async () => {
+      const response = await request(app)
+        .get(`/urls/${testUrlCode}/qr?format=png&size=128`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/png');
+      // PNG signature, then the width in the IHDR chunk
+      expect(response.body.subarray(1, 4).toString()).toBe('PNG');
+      expect(response.body.readUInt32BE(16)).toBe(128);
+    });
+
+    it('should reject invalid QR options', async () => {
+      const response = await request(app)
+        .get(`/urls/${testUrlCode}/qr?format=gif`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should no longer store QR codes on links', async () => {
+      const url = await Url.findOne({ urlCode: testUrlCode });
+
+      expect(url.qrCode).toBeUndefined();
+    });
+
     it('should handle non-existent URLs', async () => {
       const response = await request(app)
         .get('/urls/nonexistent/qr')
@@ -279,6 +997,116 @@ describe('URL Shortener API', () => {
     });
   });
 
+  // Test PATCH /urls/:code (Update URL)
+  describe('PATCH /urls/:code', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/urls')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          longUrl: 'https://example.com/typo',
+          customAlias: 'edittest'
+        });
+    });
+
+    it('should update the destination and redirect to it immediately', async () => {
+      // Warm the cache with the old destination
+      await request(app).get('/edittest');
+
+      const response = await request(app)
+        .patch('/urls/edittest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ longUrl: 'https://example.com/fixed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.longUrl).toBe('https://example.com/fixed');
+      expect(response.body.data.version).toBe(2);
+
+      const redirect = await request(app).get('/edittest');
+      expect(redirect.header.location).toBe('https://example.com/fixed');
+    });
+
+    it('should reject invalid destinations', async () => {
+      const response = await request(app)
+        .patch('/urls/edittest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ longUrl: 'invalid-url' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Invalid URL format');
+    });
+
+    it('should un-expire an expired URL', async () => {
+      await Url.updateOne(
+        { urlCode: 'edittest' },
+        { expiresAt: new Date(Date.now() - 1000), isExpired: true }
+      );
+
+      const response = await request(app)
+        .patch('/urls/edittest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ expiresIn: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.expiresAt).toBeNull();
+
+      const redirect = await request(app).get('/edittest');
+      expect(redirect.status).toBe(302);
+    });
+
+    it('should change the alias', async () => {
+      const response = await request(app)
+        .patch('/urls/edittest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ customAlias: 'edittest-renamed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.shortUrl).toMatch(/\/edittest-renamed$/);
+      expect(await Url.findOne({ urlCode: 'edittest-renamed' })).not.toBeNull();
+    });
+
+    it('should keep history and roll back to an earlier version', async () => {
+      await request(app)
+        .patch('/urls/edittest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ longUrl: 'https://example.com/fixed' });
+
+      const history = await request(app)
+        .get('/urls/edittest/history')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(history.status).toBe(200);
+      expect(history.body.data.history[0].longUrl).toBe('https://example.com/typo');
+      expect(history.body.data.history[0].changedAt).toBeDefined();
+
+      const response = await request(app)
+        .post('/urls/edittest/rollback')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ version: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.longUrl).toBe('https://example.com/typo');
+      expect(response.body.data.version).toBe(3);
+    });
+
+    it('should return 403 when updating another user\'s URL', async () => {
+      const otherUserResponse = await request(app)
+        .post('/auth/register')
+        .send({
+          email: 'editor@example.com',
+          password: 'password123'
+        });
+
+      const response = await request(app)
+        .patch('/urls/edittest')
+        .set('Authorization', `Bearer ${otherUserResponse.body.token}`)
+        .send({ longUrl: 'https://attacker.example.com' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.status).toBe('AUTH_ERROR');
+    });
+  });
+
   // Test DELETE /urls/:code (Delete URL)
   describe('DELETE /urls/:code', () => {
     let testUrl;
@@ -305,9 +1133,9 @@ describe('URL Shortener API', () => {
       expect(response.body.status).toBe('SUCCESS');
       expect(response.body.message).toBe('URL deleted successfully');
 
-      // Verify URL was actually deleted
+      // Verify URL was moved to the trash
       const deletedUrl = await Url.findOne({ urlCode: 'deletetest' });
-      expect(deletedUrl).toBeNull();
+      expect(deletedUrl.deletedAt).not.toBeNull();
     });
 
     it('should return 404 when URL does not exist', async () => {